@@ -0,0 +1,221 @@
+/* alert.js
+ *
+ * Emails an alert when a scheduled report fails, so that failures don't sit
+ * unnoticed in the execution logs. Modules can also send one for a problem
+ * that doesn't stop the report, but still needs someone to look into it (see
+ * paypal_applyStatus_()).
+ *
+ * Alerts go to their own list of recipients, and include whatever is known
+ * about the failure: the source, the dates the report was for, the request
+ * that failed and the response that came back, and the stack trace. Secrets
+ * are scrubbed from the response before it's sent.
+ *
+ * A failure that keeps happening on every trigger is only alerted once a day.
+ *
+ * Alerts are enabled by setting the following script property:
+ *   alert_recipients_list
+ */
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+
+// Comma-separated list of email addresses to send failure alerts to.
+// (OPTIONAL - no alerts are sent if this isn't set)
+const ALERT_RECIPIENTS_KEY = 'alert_recipients_list';
+
+// Stores when each recent failure was last alerted, so it isn't alerted again
+// too soon.
+// (AUTO-GENERATED)
+const ALERT_SENT_KEY = 'alert_last_sent';
+
+// How long to wait before alerting the same failure again.
+const ALERT_INTERVAL_ms = 24 * 60 * 60 * 1000; // 1 day
+
+// Response bodies longer than this are cut short in the alert.
+const ALERT_MAX_BODY_LENGTH = 2000;
+
+// Patterns for secrets that may show up in a response body, URL or error
+// message, and what to replace them with.
+const ALERT_SECRET_PATTERNS = [
+  [/\b(sk|rk|pk)_(live|test)_[A-Za-z0-9]+/g, '$1_$2_[REDACTED]'],
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+\/=-]+/g, '$1 [REDACTED]'],
+  [/"(access_token|refresh_token|id_token|client_secret|nonce)"\s*:\s*"[^"]*"/g,
+    '"$1":"[REDACTED]"'],
+];
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Public functions.
+ */
+
+/* alert_guard
+ *
+ * Runs the given function, and sends an alert if it throws. The error is
+ * thrown again afterwards, so the execution is still marked as failed.
+ *
+ * Parameters:
+ *   sourceName: name of the source being reported on, or null if the
+ *               function covers several sources.
+ *   fn: function to run
+ *
+ * Returns whatever the function returns.
+ */
+function alert_guard(sourceName, fn) {
+  try {
+    return fn();
+  } catch(e) {
+    alert_send(e, sourceName);
+    throw e;
+  }
+}
+
+
+/* alert_send
+ *
+ * Emails an alert about the given error, unless the same failure was already
+ * alerted in the last day. Errors are only alerted once, even if they pass
+ * through several guards.
+ *
+ * Any details attached to the error are included in the alert. HTTP errors
+ * carry {url, status, body} (see the *_http.js modules), and report errors
+ * carry {source, startDate, endDate, currency} (see main_makeReports_()).
+ */
+function alert_send(e, sourceName=null) {
+  if (e.alerted) {
+    return;
+  }
+  e.alerted = true;
+
+  const ps = PropertiesService.getScriptProperties();
+
+  const recipients = ps.getProperty(ALERT_RECIPIENTS_KEY);
+  if (!recipients) {
+    return;
+  }
+
+  // Never let a problem with the alert hide the original error.
+  try {
+    const source = e.source ?? sourceName;
+    const fingerprint = alert_getFingerprint_(e, source);
+
+    const now = Date.now();
+    const sent = JSON.parse(ps.getProperty(ALERT_SENT_KEY) ?? '{}');
+    for (const [key, date] of Object.entries(sent)) {
+      if (now - Date.parse(date) >= ALERT_INTERVAL_ms) {
+        delete sent[key];
+      }
+    }
+    if (sent[fingerprint]) {
+      console.log('Already alerted about this failure at '
+        + `${main_prettyDate_(sent[fingerprint])}, not alerting again.`);
+      return;
+    }
+
+    MailApp.sendEmail({
+      to: recipients,
+      subject: `[Google Bot] Statement Manager failed`
+        + (source ? ` for ${source}` : ''),
+      name: 'Statement Manager',
+      noReply: true,
+      htmlBody: alert_makeHtml_(e, source),
+    });
+
+    sent[fingerprint] = new Date(now).toISOString();
+    ps.setProperty(ALERT_SENT_KEY, JSON.stringify(sent));
+  } catch(alertError) {
+    console.error('Failed to send alert: ' + alertError);
+  }
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Internal helper functions.
+ */
+
+// Identifies "the same failure" across runs. Query strings hold the dates of
+// the report, which change from run to run, so they're left out.
+function alert_getFingerprint_(e, source) {
+  const stripQuery = (str) => str.replace(/\?[^\s]*/g, '');
+  return [
+    source ?? '',
+    e.status ?? '',
+    e.url ? stripQuery(e.url) : '',
+    stripQuery(e.message ?? String(e)),
+  ].join('|');
+}
+
+
+function alert_makeHtml_(e, source) {
+  const tz = Session.getScriptTimeZone();
+
+  const row = (name, value) =>
+    `\n  <tr><th>${name}</th><td>${main_escapeHtml_(alert_sanitize_(value))}</td></tr>`;
+
+  let rows = '';
+  rows += row('Source', source ?? 'all sources');
+  if (e.startDate) {
+    rows += row('Dates', `${main_prettyDate_(e.startDate, tz)} to `
+      + `${main_prettyDate_(e.endDate, tz)}`);
+  }
+  if (e.currency) {
+    rows += row('Currency', e.currency);
+  }
+  rows += row('Error', e.message ?? String(e));
+  if (e.url) {
+    rows += row('URL', e.url);
+  }
+  if (e.status) {
+    rows += row('HTTP status', e.status);
+  }
+
+  let body = '';
+  if (e.body) {
+    let text = e.body;
+    if (text.length > ALERT_MAX_BODY_LENGTH) {
+      text = text.slice(0, ALERT_MAX_BODY_LENGTH) + '... (cut short)';
+    }
+    body = `
+<p>Response:
+<pre>${main_escapeHtml_(alert_sanitize_(text))}</pre>`;
+  }
+
+  let stack = '';
+  if (e.stack) {
+    stack = `
+<p>Stack trace:
+<pre>${main_escapeHtml_(alert_sanitize_(e.stack))}</pre>`;
+  }
+
+  let colors = {primary: '#3C4043', secondary: '#DADCE0'};
+  try {
+    colors = source ? source_get_(source).colors : colors;
+  } catch(err) {
+    // unknown source, use the default colors
+  }
+
+  return main_makeEmailHtml_(
+    colors,
+    'Statement Manager Failed',
+    `
+<table>${rows}
+  <tr><th>Time</th><td>${main_prettyDate_(Date.now(), tz)}</td></tr>
+</table>
+${body}${stack}
+<p>This failure won't be alerted again for the next
+${ALERT_INTERVAL_ms / (60 * 60 * 1000)} hours, even if it keeps happening.
+`);
+}
+
+
+// Scrubs anything that looks like a secret from the given text.
+function alert_sanitize_(value) {
+  let str = String(value);
+  for (const [pattern, replacement] of ALERT_SECRET_PATTERNS) {
+    str = str.replace(pattern, replacement);
+  }
+  return str;
+}
@@ -0,0 +1,205 @@
+/* archive.js
+ *
+ * Saves a copy of every statement file to a Google Drive folder, so that
+ * statements aren't lost if the report email is deleted. Also finds archived
+ * statements again, so they can be re-sent.
+ *
+ * Files are organized into subfolders by source, then by the year and month
+ * of the statement's start date (in the script's timezone):
+ *
+ *   <archive folder>/Stripe/2024/01/Stripe_USD_20240131_190000.ofx
+ *
+ * The dates that each statement covers are stored as JSON in the file's
+ * description, so the files can be found by date range later.
+ *
+ * Archiving is enabled by setting the following script property to the ID of
+ * the Drive folder to archive into (the last part of the folder's URL):
+ *   archive_folder_id
+ */
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+
+// ID of the Google Drive folder to archive statements in.
+// (OPTIONAL - statements aren't archived if this isn't set)
+const ARCHIVE_FOLDER_KEY = 'archive_folder_id';
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Public functions.
+ */
+
+/* archive_isEnabled
+ *
+ * Returns true if an archive folder has been set in script properties.
+ */
+function archive_isEnabled() {
+  const ps = PropertiesService.getScriptProperties();
+  return !!ps.getProperty(ARCHIVE_FOLDER_KEY);
+}
+
+
+/* archive_save
+ *
+ * Saves the given files for a single report to the archive folder.
+ *
+ * Parameters:
+ *   source: source that made the report (see sources.js)
+ *   report: report that the files were made from, as returned by the source
+ *   blobs: list of blobs to save
+ *
+ * Returns a list of {name, url} for each saved file.
+ */
+function archive_save(source, report, blobs) {
+  const tz = Session.getScriptTimeZone();
+  const start = new Date(report.startDate);
+
+  const folder = archive_getFolder_(archive_getRoot_(), [
+    source.name,
+    Utilities.formatDate(start, tz, 'yyyy'),
+    Utilities.formatDate(start, tz, 'MM'),
+  ], true);
+
+  const description = JSON.stringify({
+    source: source.key,
+    currency: report.currency,
+    startDate: new Date(report.startDate).toISOString(),
+    endDate: new Date(report.endDate).toISOString(),
+    reportDate: new Date(report.reportDate).toISOString(),
+  });
+
+  let out = [];
+  for (const blob of blobs) {
+    const file = folder.createFile(blob);
+    file.setDescription(description);
+    console.log(`archived ${file.getName()} to ${file.getUrl()}`);
+    out.push({name: file.getName(), url: file.getUrl()});
+  }
+  return out;
+}
+
+
+/* archive_list
+ *
+ * Finds every archived statement that overlaps the given time interval.
+ *
+ * Parameters:
+ *   startDate: datetime where the interval begins (inclusive).
+ *   endDate: datetime where the interval ends (exclusive). Default: current time
+ *   sourceName: only list statements for this source. Default: all sources
+ *
+ * Returns a list of the following, sorted by statement start date: {
+ *   file: Drive file containing the statement
+ *   name: file name
+ *   url: link to the file in Drive
+ *   source: key of the source that made the statement
+ *   currency: currency that the statement covers
+ *   startDate: statement start date (unix timestamp in milliseconds)
+ *   endDate: statement end date (unix timestamp in milliseconds)
+ * }
+ */
+function archive_list(startDate, endDate=Date.now(), sourceName=null) {
+  startDate = new Date(startDate).getTime();
+  endDate = new Date(endDate).getTime();
+
+  if (startDate > endDate) {
+    throw new Error('invalid dates, startDate is later than endDate.');
+  }
+
+  const tz = Session.getScriptTimeZone();
+  const lastYear = parseInt(Utilities.formatDate(new Date(endDate), tz, 'yyyy'));
+
+  const root = archive_getRoot_();
+  const sources = sourceName ? [source_get_(sourceName)] : source_getAll_();
+
+  let out = [];
+  for (const source of sources) {
+    const sourceFolder = archive_getFolder_(root, [source.name], false);
+    if (!sourceFolder) {
+      continue;
+    }
+
+    // Statements are filed by start date, so nothing filed after the end
+    // of the interval can overlap it.
+    for (const yearFolder of archive_iterate_(sourceFolder.getFolders())) {
+      if (parseInt(yearFolder.getName()) > lastYear) {
+        continue;
+      }
+      for (const monthFolder of archive_iterate_(yearFolder.getFolders())) {
+        for (const file of archive_iterate_(monthFolder.getFiles())) {
+          let meta;
+          try {
+            meta = JSON.parse(file.getDescription());
+          } catch(e) {
+            continue; // not a file that we archived
+          }
+          const fileStart = new Date(meta.startDate).getTime();
+          const fileEnd = new Date(meta.endDate).getTime();
+          if (fileStart < endDate && fileEnd > startDate) {
+            out.push({
+              file: file,
+              name: file.getName(),
+              url: file.getUrl(),
+              source: meta.source,
+              currency: meta.currency,
+              startDate: fileStart,
+              endDate: fileEnd,
+            });
+          }
+        }
+      }
+    }
+  }
+
+  out.sort((a,b) => a.startDate - b.startDate || a.name.localeCompare(b.name));
+
+  return out;
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Internal helper functions.
+ */
+
+function archive_getRoot_() {
+  const ps = PropertiesService.getScriptProperties();
+  const id = ps.getProperty(ARCHIVE_FOLDER_KEY);
+  if (!id) {
+    throw new Error(
+      'Archive folder missing. Please set the script property '
+      + ARCHIVE_FOLDER_KEY + ' to the ID of the Google Drive folder that you '
+      + 'want to archive statements in.'
+    );
+  }
+  return DriveApp.getFolderById(id);
+}
+
+
+// Walks down the given list of subfolder names, starting at the given folder.
+// If 'create' is true, missing subfolders are created along the way,
+// otherwise returns null if any of them are missing.
+function archive_getFolder_(folder, names, create) {
+  for (const name of names) {
+    const it = folder.getFoldersByName(name);
+    if (it.hasNext()) {
+      folder = it.next();
+    } else if (create) {
+      folder = folder.createFolder(name);
+    } else {
+      return null;
+    }
+  }
+  return folder;
+}
+
+
+// Converts a Drive FileIterator or FolderIterator into a Javascript iterable.
+function* archive_iterate_(it) {
+  while (it.hasNext()) {
+    yield it.next();
+  }
+}
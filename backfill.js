@@ -0,0 +1,215 @@
+/* backfill.js
+ *
+ * Produces statements for a past date range, one statement per calendar
+ * month (in the script's timezone), instead of one huge statement covering
+ * the whole range. Each month's statement is emailed (and archived, etc.)
+ * exactly like a scheduled report.
+ *
+ * Long backfills can run past Apps Script's execution time limit. Progress is
+ * saved in script properties after every month, and the backfill stops itself
+ * before the limit is reached and schedules a trigger to pick up where it
+ * left off.
+ *
+ * Backfills don't change the start date of the scheduled "since last"
+ * reports.
+ *
+ * Start one from the Apps Script editor or the Apps Script API, ex:
+ *   doBackfill('PayPal', '2023-01-01T00:00:00-05:00', '2024-01-01T00:00:00-05:00')
+ */
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+
+// Stores the progress of the backfill in progress, if any.
+// (AUTO-GENERATED)
+const BACKFILL_STATE_KEY = 'backfill_state';
+
+// Stop starting new months after this much time, to leave room before Apps
+// Script's 6 minute execution time limit.
+const BACKFILL_MAX_RUNTIME_ms = 4 * 60 * 1000; // 4 minutes
+
+// How long to wait before continuing a backfill that was stopped.
+const BACKFILL_RESUME_DELAY_ms = 60 * 1000; // 1 minute
+
+const BACKFILL_HANDLER = 'continueBackfill';
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Entry points.
+ */
+
+/* doBackfill(sourceName, startDate, endDate)
+ *
+ * Starts a backfill that sends one statement per calendar month for the
+ * given source, covering the given time interval.
+ *
+ * Parameters:
+ *   sourceName: name of the source to report on (see sources.js)
+ *   startDate: datetime where the backfill begins (inclusive).
+ *   endDate: datetime where the backfill ends (exclusive). Default: current time
+ *
+ * If the source doesn't keep data as far back as the start date (ex: PayPal
+ * only keeps 3 years), the backfill starts at the oldest data instead.
+ *
+ * Only one backfill can be in progress at a time. Use cancelBackfill() to
+ * stop one early.
+ */
+function doBackfill(sourceName, startDate, endDate=Date.now()) {
+  const source = source_get_(sourceName);
+
+  const ps = PropertiesService.getScriptProperties();
+
+  const existing = ps.getProperty(BACKFILL_STATE_KEY);
+  if (existing) {
+    const state = JSON.parse(existing);
+    throw new Error(`A ${state.source} backfill is already in progress. `
+      + 'Wait for it to finish, or call cancelBackfill() to stop it.');
+  }
+
+  startDate = new Date(startDate).getTime();
+  endDate = Math.min(new Date(endDate).getTime(), Date.now());
+  if (isNaN(startDate) || isNaN(endDate)) {
+    throw new Error('invalid dates, startDate and endDate must be datetimes.');
+  }
+  if (startDate >= endDate) {
+    throw new Error('invalid dates, startDate is later than endDate.');
+  }
+
+  if (source.history_ms) {
+    const oldest = Date.now() - source.history_ms;
+    if (startDate < oldest) {
+      console.log(`${source.name} only keeps data back to `
+        + `${main_prettyDate_(oldest)}, starting the backfill there instead.`);
+      startDate = oldest;
+    }
+  }
+
+  const state = {
+    source: source.name,
+    nextDate: startDate,
+    endDate: endDate,
+  };
+  ps.setProperty(BACKFILL_STATE_KEY, JSON.stringify(state));
+
+  backfill_run_(state);
+}
+
+
+/* continueBackfill()
+ *
+ * Continues the backfill in progress from the last month that was sent.
+ * Called automatically by a trigger when a backfill runs out of time, but can
+ * also be run by hand if an execution was cut off.
+ */
+function continueBackfill() {
+  const ps = PropertiesService.getScriptProperties();
+
+  const existing = ps.getProperty(BACKFILL_STATE_KEY);
+  if (!existing) {
+    console.log('No backfill in progress, nothing to do.');
+    backfill_deleteTriggers_();
+    return;
+  }
+
+  const state = JSON.parse(existing);
+  alert_guard(state.source, () => backfill_run_(state));
+}
+
+
+/* cancelBackfill()
+ *
+ * Stops the backfill in progress. Statements that were already sent aren't
+ * affected.
+ */
+function cancelBackfill() {
+  const ps = PropertiesService.getScriptProperties();
+  ps.deleteProperty(BACKFILL_STATE_KEY);
+  backfill_deleteTriggers_();
+  console.log('Backfill cancelled.');
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Helper functions.
+ */
+
+// Sends statements one month at a time from state.nextDate, saving progress
+// after each one, until the backfill is done or runs out of time.
+function backfill_run_(state) {
+  const tz = Session.getScriptTimeZone();
+
+  const ps = PropertiesService.getScriptProperties();
+
+  const started = Date.now();
+
+  // Any trigger that got us here has done its job.
+  backfill_deleteTriggers_();
+
+  while (state.nextDate < state.endDate) {
+    if (Date.now() - started > BACKFILL_MAX_RUNTIME_ms) {
+      console.log('Backfill running out of time, continuing from '
+        + `${main_prettyDate_(state.nextDate, tz)} in a moment.`);
+      ScriptApp.newTrigger(BACKFILL_HANDLER)
+        .timeBased()
+        .after(BACKFILL_RESUME_DELAY_ms)
+        .create();
+      return;
+    }
+
+    const monthEnd = Math.min(
+      backfill_getNextMonth_(state.nextDate, tz), state.endDate
+    );
+    const res = main_doReport_(state.source, state.nextDate, monthEnd);
+
+    // No data published for the rest of the backfill yet, so there's nothing
+    // left to send.
+    if (!res) {
+      break;
+    }
+
+    console.log(`Backfill sent ${state.source} statement from `
+      + `${main_prettyDate_(res.startDate, tz)} to `
+      + `${main_prettyDate_(res.endDate, tz)}.`);
+
+    // The report may have stopped short of the end of the month if the
+    // source hasn't published the rest of the data yet.
+    const caughtUp = res.endDate < monthEnd;
+
+    state.nextDate = new Date(res.endDate).getTime();
+    ps.setProperty(BACKFILL_STATE_KEY, JSON.stringify(state));
+
+    if (caughtUp) {
+      break;
+    }
+  }
+
+  ps.deleteProperty(BACKFILL_STATE_KEY);
+  console.log(`Backfill for ${state.source} finished at `
+    + `${main_prettyDate_(state.nextDate, tz)}.`);
+}
+
+
+// Returns the start of the calendar month after the given date, in the given
+// timezone (unix timestamp in milliseconds).
+function backfill_getNextMonth_(date, tz) {
+  const year = parseInt(Utilities.formatDate(new Date(date), tz, 'yyyy'));
+  const month = parseInt(Utilities.formatDate(new Date(date), tz, 'M'));
+
+  const next = month == 12
+    ? `${year + 1}-01-01`
+    : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+  return Utilities.parseDate(next, tz, 'yyyy-MM-dd').getTime();
+}
+
+
+function backfill_deleteTriggers_() {
+  for (const trigger of ScriptApp.getProjectTriggers()) {
+    if (trigger.getHandlerFunction() == BACKFILL_HANDLER) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  }
+}
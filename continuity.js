@@ -0,0 +1,162 @@
+/* continuity.js
+ *
+ * Checks that the balances in each statement add up, so that a missing or
+ * doubled transaction doesn't silently throw off the bank balance in
+ * QuickBooks. Two things are checked for each statement:
+ *
+ *   within the statement: opening balance + transactions = closing balance
+ *
+ *   against the previous statement: the previous statement's closing balance
+ *     is this statement's opening balance, if the previous statement ended
+ *     where this one starts.
+ *
+ * The closing balance of each scheduled "since last" statement is stored in a
+ * script property for each source, ex:
+ *   stripe_closing_balances
+ *
+ * Sources that can only estimate their balance (ex: Square) mark their
+ * reports with balanceIsEstimate, and those aren't checked at all.
+ *
+ * Discrepancies are shown at the top of the report email. To stop the report
+ * from being sent at all when there's a discrepancy, set the following script
+ * property to 'true':
+ *   block_on_balance_mismatch
+ */
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+
+// Stores the closing balance of the last delivered statement in each
+// currency, as JSON: {<currency>: {endDate, balance}}
+// key is prefixed by the source's registry key - paypal, stripe, square, etc.
+// (AUTO-GENERATED)
+const CONTINUITY_BALANCES_KEY = '_closing_balances';
+
+// 'true' to refuse to send statements whose balances don't add up.
+// (OPTIONAL - defaults to 'false')
+const CONTINUITY_BLOCK_KEY = 'block_on_balance_mismatch';
+
+// Differences smaller than this are rounding errors, not discrepancies. Small
+// enough for currencies with 3 decimal places.
+const CONTINUITY_TOLERANCE = 0.0005;
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Public functions.
+ */
+
+/* continuity_check
+ *
+ * Checks the balances of the given report, as returned by a source's
+ * makeReport function.
+ *
+ * Returns a list of messages describing each discrepancy found. The list is
+ * empty if everything adds up, or if the report's balance is only an estimate.
+ */
+function continuity_check(source, report) {
+  if (report.balanceIsEstimate) {
+    return [];
+  }
+
+  const money = continuity_makeFormatter_(report.currency);
+
+  const total = report.entries.reduce((sum, e) => sum + e.net, 0);
+  const opening = report.openingBalance ?? null;
+
+  let out = [];
+
+  if (opening !== null) {
+    const expected = opening + total;
+    if (!continuity_isEqual_(expected, report.balance)) {
+      out.push(`${report.currency}: opening balance ${money(opening)} plus `
+        + `transactions ${money(total)} is ${money(expected)}, but the `
+        + `closing balance is ${money(report.balance)} (off by `
+        + `${money(report.balance - expected)}).`);
+    }
+  }
+
+  const previous = continuity_getClosingBalances_(source)[report.currency];
+  if (previous
+      && Date.parse(previous.endDate) === new Date(report.startDate).getTime()) {
+    if (opening !== null) {
+      if (!continuity_isEqual_(previous.balance, opening)) {
+        out.push(`${report.currency}: the previous statement closed at `
+          + `${money(previous.balance)}, but this one opens at `
+          + `${money(opening)} (off by ${money(opening - previous.balance)}).`);
+      }
+    } else {
+      const expected = previous.balance + total;
+      if (!continuity_isEqual_(expected, report.balance)) {
+        out.push(`${report.currency}: the previous statement closed at `
+          + `${money(previous.balance)}, plus transactions ${money(total)} is `
+          + `${money(expected)}, but the closing balance is `
+          + `${money(report.balance)} (off by `
+          + `${money(report.balance - expected)}).`);
+      }
+    }
+  }
+
+  for (const msg of out) {
+    console.error(`${source.name} balance discrepancy: ${msg}`);
+  }
+
+  return out;
+}
+
+
+/* continuity_isBlocking
+ *
+ * Returns true if statements with balance discrepancies shouldn't be sent.
+ */
+function continuity_isBlocking() {
+  const ps = PropertiesService.getScriptProperties();
+  return (ps.getProperty(CONTINUITY_BLOCK_KEY) ?? '').trim().toLowerCase()
+    === 'true';
+}
+
+
+/* continuity_getBalanceProps
+ *
+ * Returns the script properties that record the closing balances of the
+ * given reports (as returned by main_makeReports_()), to be saved once the
+ * reports have been delivered.
+ */
+function continuity_getBalanceProps(source, out) {
+  const balances = continuity_getClosingBalances_(source);
+  for (const res of out.reports.filter((r) => !r.balanceIsEstimate)) {
+    balances[res.currency] = {
+      endDate: new Date(res.endDate).toISOString(),
+      balance: res.balance,
+    };
+  }
+  return {[source.key + CONTINUITY_BALANCES_KEY]: JSON.stringify(balances)};
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Internal helper functions.
+ */
+
+function continuity_getClosingBalances_(source) {
+  const ps = PropertiesService.getScriptProperties();
+  return JSON.parse(ps.getProperty(source.key + CONTINUITY_BALANCES_KEY) ?? '{}');
+}
+
+
+function continuity_isEqual_(a, b) {
+  return Math.abs(a - b) < CONTINUITY_TOLERANCE;
+}
+
+
+function continuity_makeFormatter_(currency) {
+  const locale = Session.getActiveUserLocale() || 'en-US';
+  const fmt = new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: currency,
+  });
+  return (amount) => fmt.format(amount);
+}
@@ -0,0 +1,77 @@
+/* csv.js
+ *
+ * Contains helper functions for writing out statements as CSV files, for
+ * people who want to look at the transactions in a spreadsheet.
+ */
+
+
+/* Column headings written on the first line of every CSV file.
+ */
+const csv_COLUMNS = [
+  'Date', 'Type', 'Amount', 'Currency', 'ID', 'Name', 'Memo'
+];
+
+
+/* Returns a full CSV file as a string, built from the given statement.
+ *
+ * One line is written per transaction. Dates are written in the given
+ * timezone, in a format that spreadsheets recognize. Text that a spreadsheet
+ * would take for a formula is escaped (see main_escapeFormula_()).
+ *
+ * Parameters:
+ *   stmt: statement in the format accepted by ofx_makeStatement()
+ *   tz: timezone to write dates in. Default: the script's timezone
+ */
+function csv_makeStatement(stmt, tz=Session.getScriptTimeZone()) {
+  let lines = [csv_makeLine_(csv_COLUMNS)];
+
+  for (const txn of stmt.txns) {
+    lines.push(csv_makeLine_([
+      Utilities.formatDate(new Date(txn.date), tz, 'yyyy-MM-dd HH:mm:ss'),
+      txn.type.toUpperCase(),
+      txn.amount.toFixed(2),
+      stmt.currency,
+      main_escapeFormula_(txn.id),
+      main_escapeFormula_(txn.name ?? ''),
+      main_escapeFormula_(txn.memo ?? ''),
+    ]));
+  }
+
+  // RFC 4180 requires CRLF line endings.
+  return lines.join('\r\n') + '\r\n';
+}
+
+
+/* Returns the given string as a binary blob with the correct MIME
+ * type for this CSV file. This blob can then be attached to an email,
+ * saved to drive, whatever.
+ *
+ * Parameters: {
+ *  str: string containing CSV file
+ *  name: name to give the blob for when it's saved as a file
+ * }
+ */
+function csv_makeBlob(str, name) {
+  if (!name.endsWith('.csv')) {
+    name += '.csv';
+  }
+  return Utilities.newBlob(str, 'text/csv', name);
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - */
+/* Helper functions. */
+
+/* Joins the given fields into a single line of CSV, quoting any fields that
+ * contain commas, quotes or line breaks.
+ */
+function csv_makeLine_(fields) {
+  return fields.map((field) => {
+    const str = String(field);
+    if (/[",\r\n]/.test(str)) {
+      return '"' + str.replaceAll('"', '""') + '"';
+    }
+    return str;
+  }).join(',');
+}
@@ -0,0 +1,150 @@
+/* journal.js
+ *
+ * Keeps a journal of the scheduled "since last" runs for each source, so that
+ * a run that was cut off part way through can be finished by the next one.
+ *
+ * Each run moves through these steps:
+ *
+ *   pending: the run has started, and is making the report
+ *   generated: the report has been made, its dates are fixed
+ *   delivered: the report email has been sent, and the start date for the
+ *              next run has been advanced
+ *
+ * While a run is 'generated', its entry also records the files that were
+ * archived and the transactions that were added to the ledger, so that they
+ * aren't saved twice when delivery is retried.
+ *
+ * A run can also end up 'skipped' (no new data was available yet) or 'failed'
+ * (the report couldn't be made, or couldn't be made again with the same dates
+ * to deliver it). Neither of those sent anything, so the next run just starts
+ * over from the same start date.
+ *
+ * The most recent runs are kept in a script property for each source, ex:
+ *   stripe_run_journal
+ */
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+
+// Stores the most recent runs for a given source, as a JSON list.
+// key is prefixed by the source's registry key - paypal, stripe, square, etc.
+// (AUTO-GENERATED)
+const JOURNAL_KEY = '_run_journal';
+
+// Number of runs to keep for each source. Script properties are limited to
+// 9kB each, so this can't grow very large.
+const JOURNAL_MAX_ENTRIES = 20;
+
+// Longest error message to keep on an entry, for the same reason. Only the
+// first line of the message is kept.
+const JOURNAL_MAX_ERROR_LENGTH = 200;
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Public functions.
+ */
+
+/* journal_begin
+ *
+ * Records the start of a run for the given source, covering the given time
+ * interval.
+ *
+ * Returns the new journal entry: {
+ *   id: unique ID for the run
+ *   status: 'pending'
+ *   startDate: requested start date (ISO 8601 string)
+ *   endDate: requested end date (ISO 8601 string)
+ *   started: when the run started (ISO 8601 string)
+ *   updated: when the entry last changed (ISO 8601 string)
+ * }
+ */
+function journal_begin(source, startDate, endDate) {
+  const now = new Date(Date.now()).toISOString();
+  const entry = {
+    id: Utilities.getUuid(),
+    status: 'pending',
+    startDate: new Date(startDate).toISOString(),
+    endDate: new Date(endDate).toISOString(),
+    started: now,
+    updated: now,
+  };
+
+  const entries = journal_list(source);
+  entries.push(entry);
+  journal_save_(source, entries, {});
+
+  return entry;
+}
+
+
+/* journal_update
+ *
+ * Moves the given journal entry to a new status.
+ *
+ * Parameters:
+ *   source: source that the run belongs to (see sources.js)
+ *   entry: entry returned by journal_begin()
+ *   status: new status for the entry
+ *   fields: other fields to set on the entry. An 'error' message is cut down
+ *           to its first line, up to JOURNAL_MAX_ERROR_LENGTH characters.
+ *           Default: none
+ *   props: other script properties to set at the same time as the entry, so
+ *          that they can't get out of step with it. Default: none
+ */
+function journal_update(source, entry, status, fields={}, props={}) {
+  if (fields.error) {
+    fields = {
+      ...fields,
+      error: fields.error.split('\n')[0].substring(0, JOURNAL_MAX_ERROR_LENGTH),
+    };
+  }
+  Object.assign(entry, fields, {
+    status: status,
+    updated: new Date(Date.now()).toISOString(),
+  });
+
+  const entries = journal_list(source)
+    .map((e) => e.id === entry.id ? entry : e);
+  journal_save_(source, entries, props);
+}
+
+
+/* journal_getUndelivered
+ *
+ * Returns the source's latest run if its report was generated but never
+ * delivered, otherwise null.
+ */
+function journal_getUndelivered(source) {
+  const entries = journal_list(source);
+  const last = entries[entries.length - 1];
+  return last?.status === 'generated' ? last : null;
+}
+
+
+/* journal_list
+ *
+ * Returns the journal entries for the given source, oldest first.
+ */
+function journal_list(source) {
+  const ps = PropertiesService.getScriptProperties();
+  return JSON.parse(ps.getProperty(source.key + JOURNAL_KEY) ?? '[]');
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Internal helper functions.
+ */
+
+function journal_save_(source, entries, props) {
+  const ps = PropertiesService.getScriptProperties();
+  ps.setProperties({
+    ...props,
+    [source.key + JOURNAL_KEY]: JSON.stringify(
+      entries.slice(-JOURNAL_MAX_ENTRIES)
+    ),
+  });
+}
@@ -0,0 +1,193 @@
+/* ledger.js
+ *
+ * Appends every reported transaction to a running ledger in a Google Sheets
+ * spreadsheet, so that transactions from all sources can be filtered and
+ * searched in one place.
+ *
+ * The spreadsheet gets two sheets, which are created if they're missing:
+ *
+ *   Transactions: one row per transaction. Transactions that are already in
+ *                 the sheet (same source and FITID) are skipped, so running
+ *                 a report again doesn't add duplicates. Names and memos
+ *                 that would be taken for a formula are escaped (see
+ *                 main_escapeFormula_()).
+ *
+ *   Balances: one row per statement, with the balance at the end of the
+ *             statement.
+ *
+ * The ledger is enabled by setting the following script property to the ID
+ * of the spreadsheet (the long string in the middle of the spreadsheet's URL):
+ *   ledger_spreadsheet_id
+ */
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+
+// ID of the Google Sheets spreadsheet to write the ledger to.
+// (OPTIONAL - no ledger is kept if this isn't set)
+const LEDGER_SPREADSHEET_KEY = 'ledger_spreadsheet_id';
+
+const LEDGER_TXN_SHEET = 'Transactions';
+
+const LEDGER_TXN_COLUMNS = [
+  'Date', 'Source', 'Currency', 'Type', 'Gross', 'Fee', 'Net', 'FITID',
+  'Name', 'Memo', 'Category'
+];
+
+const LEDGER_BALANCE_SHEET = 'Balances';
+
+const LEDGER_BALANCE_COLUMNS = [
+  'Date', 'Source', 'Currency', 'Balance', 'Statement Start', 'Transactions',
+  'Recorded'
+];
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Public functions.
+ */
+
+/* ledger_isEnabled
+ *
+ * Returns true if a ledger spreadsheet has been set in script properties.
+ */
+function ledger_isEnabled() {
+  const ps = PropertiesService.getScriptProperties();
+  return !!ps.getProperty(LEDGER_SPREADSHEET_KEY);
+}
+
+
+/* ledger_append
+ *
+ * Appends the transactions and ending balance from the given report to the
+ * ledger spreadsheet.
+ *
+ * Parameters:
+ *   source: source that made the report (see sources.js)
+ *   report: report returned by the source's makeReport function
+ *
+ * Returns: {
+ *   url: link to the spreadsheet
+ *   added: number of transactions added
+ *   skipped: number of transactions skipped, because they were already there
+ * }
+ */
+function ledger_append(source, report) {
+  const ss = ledger_open_();
+
+  // Transactions.
+  const txnSheet = ledger_getSheet_(ss, LEDGER_TXN_SHEET, LEDGER_TXN_COLUMNS);
+  const colSource = LEDGER_TXN_COLUMNS.indexOf('Source');
+  const colId = LEDGER_TXN_COLUMNS.indexOf('FITID');
+  const existing = new Set(
+    ledger_getRows_(txnSheet, LEDGER_TXN_COLUMNS.length)
+      .map((row) => row[colSource] + '|' + row[colId])
+  );
+
+  let rows = [];
+  let skipped = 0;
+  for (const e of report.entries) {
+    const key = source.name + '|' + e.id;
+    if (existing.has(key)) {
+      skipped++;
+      continue;
+    }
+    existing.add(key);
+    rows.push([
+      new Date(e.date),
+      source.name,
+      report.currency,
+      e.type,
+      e.gross,
+      e.fee,
+      e.net,
+      e.id,
+      main_escapeFormula_(e.name ?? ''),
+      main_escapeFormula_(e.memo ?? ''),
+      e.category ?? '',
+    ]);
+  }
+  ledger_appendRows_(txnSheet, rows);
+
+  // Balance history. Skip it if this statement's balance was already recorded.
+  const balSheet = ledger_getSheet_(ss, LEDGER_BALANCE_SHEET, LEDGER_BALANCE_COLUMNS);
+  const endTime = new Date(report.endDate).getTime();
+  const recorded = ledger_getRows_(balSheet, LEDGER_BALANCE_COLUMNS.length)
+    .some((row) => new Date(row[0]).getTime() === endTime
+      && row[1] === source.name && row[2] === report.currency);
+  if (!recorded) {
+    ledger_appendRows_(balSheet, [[
+      new Date(report.endDate),
+      source.name,
+      report.currency,
+      report.balance,
+      new Date(report.startDate),
+      report.numTxns,
+      new Date(Date.now()),
+    ]]);
+  }
+
+  console.log(`ledger: added ${rows.length} transaction(s), skipped `
+    + `${skipped} already in ${ss.getUrl()}`);
+
+  return {
+    url: ss.getUrl(),
+    added: rows.length,
+    skipped: skipped,
+  };
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Internal helper functions.
+ */
+
+function ledger_open_() {
+  const ps = PropertiesService.getScriptProperties();
+  const id = ps.getProperty(LEDGER_SPREADSHEET_KEY);
+  if (!id) {
+    throw new Error(
+      'Ledger spreadsheet missing. Please set the script property '
+      + LEDGER_SPREADSHEET_KEY + ' to the ID of the Google Sheets spreadsheet '
+      + 'that you want to keep the ledger in.'
+    );
+  }
+  return SpreadsheetApp.openById(id);
+}
+
+
+// Returns the sheet with the given name, creating it with a frozen header
+// row if it doesn't exist yet.
+function ledger_getSheet_(ss, name, columns) {
+  let sheet = ss.getSheetByName(name);
+  if (!sheet) {
+    sheet = ss.insertSheet(name);
+  }
+  if (sheet.getLastRow() == 0) {
+    sheet.getRange(1, 1, 1, columns.length).setValues([columns]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+
+// Returns every row below the header row.
+function ledger_getRows_(sheet, numColumns) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return [];
+  }
+  return sheet.getRange(2, 1, lastRow - 1, numColumns).getValues();
+}
+
+
+function ledger_appendRows_(sheet, rows) {
+  if (rows.length == 0) {
+    return;
+  }
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length)
+    .setValues(rows);
+}
@@ -7,17 +7,56 @@
 // (REQUIRED)
 const RECIPIENTS_KEY = 'email_recipients_list';
 
-// Three letter ISO currency code that you wish to produce reports in.
-// ex: "USD", "CNY", etc.
-// (OPTIONAL - defaults to USD)
+// Comma-separated list of three letter ISO currency codes that you wish to
+// produce reports in. One statement is produced for each currency.
+// ex: "USD", "USD,EUR,GBP", etc.
+// (OPTIONAL - defaults to every currency that the account holds)
 const CURRENCY_KEY = 'currency';
 
-// Mode to produce reports in. 'gross' or 'net'
+// Mode to produce reports in. 'gross', 'net' or 'itemized' (see the source
+// modules for what each one does).
 // (OPTIONAL - defaults to 'net')
 const MODE_KEY = 'mode';
 
-// stores the start date of the next SincePrevious report for a given target.
-// key is prefixed by target name - paypal, stripe
+// Comma-separated list of file formats to attach to the report email. One
+// file is attached per format, for each currency. Supported formats are
+// 'ofx', 'qbo' (QuickBooks Web Connect), 'csv' and 'qif'.
+// ex: "ofx", "ofx,csv", etc.
+// (OPTIONAL - defaults to 'ofx')
+const FORMATS_KEY = 'formats';
+
+const SUPPORTED_FORMATS = ['ofx', 'qbo', 'csv', 'qif'];
+
+// Version of OFX to write. '102' produces OFX 1.0.2 (SGML), '211' or '220'
+// produce OFX 2.1.1 or 2.2 (XML).
+// (OPTIONAL - defaults to '102')
+const OFX_VERSION_KEY = 'ofx_version';
+
+// Intuit bank ID (INTU.BID) to use in QuickBooks Web Connect files. Ask
+// Intuit support, or copy it from a .qbo file downloaded from a bank that
+// QuickBooks already recognizes.
+// key is prefixed by the source's registry key - paypal, stripe, square, etc.
+// (REQUIRED if 'qbo' is listed in formats)
+const QBO_INTU_BID_KEY = '_qbo_intu_bid';
+
+// 9 digit ABA routing number to use as the bank ID in QuickBooks Web Connect
+// files.
+// key is prefixed by the source's registry key - paypal, stripe, square, etc.
+// (REQUIRED if 'qbo' is listed in formats)
+const QBO_BANK_ID_KEY = '_qbo_bank_id';
+
+// Account ID to write in the OFX header, instead of the one the source
+// reports. Useful to tell apart accounts of the same kind in QuickBooks.
+// key is prefixed by the source's registry key - paypal, stripe, square, etc.
+// (OPTIONAL - defaults to the source's own account ID)
+const ACCOUNT_ID_KEY = '_account_id';
+
+// How long a scheduled report waits for another one that's already running
+// to finish, before giving up until the next trigger.
+const MAIN_LOCK_TIMEOUT_ms = 30 * 1000; // 30 seconds
+
+// stores the start date of the next SincePrevious report for a given source.
+// key is prefixed by the source's registry key - paypal, stripe, square, etc.
 // (AUTO-GENERATED)
 const SINCE_PREV_START_KEY = '_since_previous_startdate';
 
@@ -26,6 +65,56 @@ const SINCE_PREV_START_KEY = '_since_previous_startdate';
  * Entry points.
  */
 
+/* doAllSinceLast()
+ * 
+ * Create and send a report covering the time since the last report, up to
+ * now, for every registered source that has its credentials set in script
+ * properties (see sources.js). That includes the sources of every profile
+ * (see profile.js).
+ * 
+ * A failure in one source doesn't stop reports for the other sources from
+ * being sent. If any of them failed, an error is thrown after all the other
+ * sources are done.
+ *
+ * Failures are emailed to the alert recipients, if any (see alert.js).
+ */
+function doAllSinceLast() {
+  alert_guard(null, () => {
+    const props = PropertiesService.getScriptProperties().getProperties();
+
+    let errors = [];
+    for (const source of source_getAll_()) {
+      const missing = source_getMissingCredentials_(source, props);
+      if (missing.length > 0) {
+        console.log(`Skipping ${source.name}, credentials not set: `
+          + missing.join(', '));
+        continue;
+      }
+
+      try {
+        alert_guard(source.name, () => main_doSinceLast_(source.name));
+      } catch(e) {
+        console.error(e);
+        errors.push(`${source.name}: ${e.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      // Each of these was already alerted on its own.
+      const e = new Error('reports failed for some sources:\n'
+        + errors.join('\n'));
+      e.alerted = true;
+      throw e;
+    }
+  });
+}
+
+
+/* The per-source entry points below are kept so that existing triggers
+ * continue to work. New sources don't need one, doAllSinceLast() picks them
+ * up from the registry automatically.
+ */
+
 /* doPaypalSinceLast()
  * 
  * Create and send a PayPal report covering the time since the last report,
@@ -35,7 +124,7 @@ const SINCE_PREV_START_KEY = '_since_previous_startdate';
  * current year as the start date.
  */
 function doPaypalSinceLast() {
-  main_doSinceLast_("PayPal");
+  alert_guard("PayPal", () => main_doSinceLast_("PayPal"));
 }
 
 
@@ -48,7 +137,134 @@ function doPaypalSinceLast() {
  * current year as the start date.
  */
 function doStripeSinceLast() {
-  main_doSinceLast_("Stripe");
+  alert_guard("Stripe", () => main_doSinceLast_("Stripe"));
+}
+
+
+/* doSquareSinceLast()
+ * 
+ * Create and send a Square report covering the time since the last report,
+ * up to now.
+ * 
+ * If there's no record of a previous report, uses the beginning of the
+ * current year as the start date.
+ */
+function doSquareSinceLast() {
+  alert_guard("Square", () => main_doSinceLast_("Square"));
+}
+
+
+
+/* listArchivedStatements(startDate, endDate, sourceName)
+ * 
+ * Logs every statement in the Drive archive (see archive.js) that overlaps
+ * the given time interval, and returns the list of them.
+ * 
+ * Parameters:
+ *   startDate: datetime where the interval begins (inclusive).
+ *   endDate: datetime where the interval ends (exclusive). Default: current time
+ *   sourceName: only list statements for this source. Default: all sources
+ * 
+ * Entry points that take parameters can be called from another function, or
+ * remotely through the Apps Script API.
+ */
+function listArchivedStatements(startDate, endDate=Date.now(), sourceName=null) {
+  const tz = Session.getScriptTimeZone();
+  const files = archive_list(startDate, endDate, sourceName);
+
+  for (const f of files) {
+    console.log(`${f.name} (${main_prettyDate_(f.startDate, tz)} to `
+      + `${main_prettyDate_(f.endDate, tz)}): ${f.url}`);
+  }
+  console.log(`Found ${files.length} archived statement(s).`);
+
+  return files.map((f) => ({
+    name: f.name,
+    url: f.url,
+    source: f.source,
+    currency: f.currency,
+    startDate: new Date(f.startDate).toISOString(),
+    endDate: new Date(f.endDate).toISOString(),
+  }));
+}
+
+
+/* resendArchivedStatements(startDate, endDate, sourceName)
+ * 
+ * Emails every statement in the Drive archive (see archive.js) that overlaps
+ * the given time interval to the recipients specified in script properties.
+ * Each profile's statements (see profile.js) are sent in their own email, to
+ * that profile's recipients.
+ * 
+ * Parameters are the same as listArchivedStatements().
+ */
+function resendArchivedStatements(startDate, endDate=Date.now(), sourceName=null) {
+  const tz = Session.getScriptTimeZone();
+  const sources = sourceName ? [source_get_(sourceName)] : source_getAll_();
+
+  const files = archive_list(startDate, endDate, sourceName);
+  if (files.length == 0) {
+    console.log('No archived statements found, nothing to send.');
+    return;
+  }
+
+  // Group the files by profile, and look up every group's recipients before
+  // sending anything, so a profile with no recipients doesn't leave the
+  // others half sent.
+  let groups = new Map();
+  for (const f of files) {
+    const source = sources.find((s) => s.key === f.source);
+    if (!source) {
+      console.log(`Skipping ${f.name}, its source ${f.source} isn't registered.`);
+      continue;
+    }
+    if (!groups.has(source.profile)) {
+      groups.set(source.profile, {
+        recipients: main_getRecipients_(source),
+        files: [],
+      });
+    }
+    groups.get(source.profile).files.push(f);
+  }
+
+  const colors = sourceName
+    ? sources[0].colors
+    : {primary: '#3C4043', secondary: '#DADCE0'};
+
+  const startDatePretty = main_prettyDate_(startDate, tz);
+  const endDatePretty = main_prettyDate_(endDate, tz);
+
+  let sent = 0;
+  for (const group of groups.values()) {
+    let rows = '';
+    for (const f of group.files) {
+      rows += `
+  <tr><th><a href="${f.url}">${f.name}</a></th>`
+        + `<td>${main_prettyDate_(f.startDate, tz)} to `
+        + `${main_prettyDate_(f.endDate, tz)}</td></tr>`;
+    }
+
+    MailApp.sendEmail({
+      to: group.recipients,
+      subject: `[Google Bot] Archived statements from ${startDatePretty} `
+        + `to ${endDatePretty}`,
+      name: 'Statement Manager',
+      noReply: true,
+      attachments: group.files.map((f) => f.file.getBlob()),
+      htmlBody: main_makeEmailHtml_(
+        colors,
+        'Archived Statements from Statement Manager',
+        `
+<table>${rows}
+</table>
+
+<p>These statements were re-sent from the Google Drive archive.
+`)
+    });
+    sent += group.files.length;
+  }
+
+  console.log(`Re-sent ${sent} archived statement(s).`);
 }
 
 
@@ -57,16 +273,45 @@ function doStripeSinceLast() {
  * Helper functions.
  */
 
-function main_doSinceLast_(targetPretty) {
-  const target = targetPretty.toLowerCase();
+// Sends the report covering the time since the last report for the given
+// source, up to now, and advances the start date for the next one.
+//
+// Only one report runs at a time. Each run is recorded in the run journal
+// (see journal.js), and the start date only advances once the report has been
+// delivered. If the last run made its report but never delivered it, the
+// same report is made again and delivered before starting a new one.
+function main_doSinceLast_(sourceName) {
+  const source = source_get_(sourceName);
+
+  // Overlapping triggers would otherwise send the same statement twice.
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(MAIN_LOCK_TIMEOUT_ms)) {
+    console.log(`Another report is still running, skipping ${source.name} `
+      + 'until the next trigger.');
+    return;
+  }
 
+  try {
+    const undelivered = journal_getUndelivered(source);
+    if (undelivered) {
+      main_redeliver_(source, undelivered);
+    }
+
+    main_doSinceLastLocked_(source);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+
+function main_doSinceLastLocked_(source) {
   const tz = Session.getScriptTimeZone();
 
   const ps = PropertiesService.getScriptProperties();
 
   const now = new Date(Date.now());
 
-  let startDate = ps.getProperty(target + SINCE_PREV_START_KEY);
+  let startDate = ps.getProperty(source.key + SINCE_PREV_START_KEY);
   if (!startDate) {
     // If there is no recorded previous run of this report, start at the
     // beginning of the current year, in the script's timezone.
@@ -91,104 +336,456 @@ function main_doSinceLast_(targetPretty) {
     console.log('No previous run detected, using start date: ' + startDate);
   }
 
-  res = main_doReport_(targetPretty, startDate, now);
+  // Check the settings before making the report, so a typo doesn't waste a
+  // run.
+  main_getRecipients_(source);
+  main_getFileSettings_(source);
+
+  const entry = journal_begin(source, startDate, now);
 
-  // Store the end date of the returned report, so we know where to start the
-  // next one. Note that end dates are EXCLUSIVE, so there's no chance of
-  // duplicates here.
-  if (res) {
-    ps.setProperty(target + SINCE_PREV_START_KEY, new Date(res.endDate));
+  let out;
+  try {
+    out = main_makeReports_(source, startDate, now, {holdPending: true});
+  } catch(e) {
+    journal_update(source, entry, 'failed', {error: e.message});
+    throw e;
   }
-}
 
+  if (!out) {
+    journal_update(source, entry, 'skipped');
+    return;
+  }
 
-// Calls one of the modules to make a report covering the given start and
-// end dates, then sends an email to the recipients specified in script
-// properties.
-function main_doReport_(targetPretty, startDate, endDate=Date.now()) {
-  const target = targetPretty.toLowerCase();
+  // From here on, the dates of the report are fixed. If delivery fails, the
+  // next run delivers this same report before doing anything else.
+  journal_update(source, entry, 'generated', {
+    endDate: new Date(out.endDate).toISOString(),
+    reportDate: new Date(out.reportDate).toISOString(),
+    currencies: out.reports.map((r) => r.currency),
+    mode: out.mode,
+  });
+
+  main_deliver_(source, entry, out);
+}
 
+
+// Makes the report for a run that was generated but never delivered again,
+// using the same dates and settings, then delivers it. If the source can't
+// make the same report anymore, nothing from that run was sent, so the run is
+// marked failed and the next one starts over from the same start date.
+function main_redeliver_(source, entry) {
   const tz = Session.getScriptTimeZone();
 
-  const ps = PropertiesService.getScriptProperties();
+  console.log(`Previous ${source.name} report from `
+    + `${main_prettyDate_(entry.startDate, tz)} to `
+    + `${main_prettyDate_(entry.endDate, tz)} was never delivered, sending `
+    + 'it now.');
 
-  const currency = ps.getProperty(CURRENCY_KEY) || 'USD';
+  const out = main_makeReports_(source, entry.startDate, entry.endDate, {
+    currencies: entry.currencies,
+    mode: entry.mode,
+    holdPending: true,
+  });
+  if (!out || new Date(out.endDate).getTime() != Date.parse(entry.endDate)) {
+    const msg = `Couldn't make the undelivered ${source.name} report again, `
+      + 'the source returned different dates.';
+    console.error(msg + ' Starting over from the same start date.');
+    journal_update(source, entry, 'failed', {error: msg});
+    return;
+  }
 
-  const mode = ps.getProperty(MODE_KEY) || 'net';
+  main_deliver_(source, entry, out);
+}
 
-  const recipients = ps.getProperty(RECIPIENTS_KEY);
-  if (!recipients) {
-    throw new Error(
-      'Email recipients missing. Please set the script property '
-      + RECIPIENTS_KEY + ' to a comma-separated list of the email addresses '
-      + 'that you want to send this report to.'
-    );
+
+// Sends the report for the given run, then marks it delivered and stores the
+// end date of the report, so we know where to start the next one. Note that
+// end dates are EXCLUSIVE, so there's no chance of duplicates here. The
+// closing balances are stored too, to check the next report against (see
+// continuity.js), along with anything else the source keeps between reports.
+function main_deliver_(source, entry, out) {
+  try {
+    main_sendReport_(source, out, entry);
+  } catch(e) {
+    journal_update(source, entry, 'generated', {error: e.message});
+    throw e;
   }
 
-  // Construct a report from previous end date (if any), up to as close to
-  // the current time as we have data for.
-  let res;
-  let targetUrl;
-  switch(target) {
-    case 'paypal':
-      res = paypal_makeReportOfx(startDate, endDate, currency, mode);
-      targetUrl = 'https://paypal.com/mep/dashboard';
-      targetColor = '#003087';
-      break;
-    case 'stripe':
-      res = stripe_makeReportOfx(startDate, endDate, currency, mode);
-      targetUrl = 'https://dashboard.stripe.com';
-      targetColor = '#635BFF';
-      break;
+  // The archived files and ledger rows are only kept for redelivery.
+  journal_update(source, entry, 'delivered', {
+    error: null,
+    archived: undefined,
+    ledger: undefined,
+  }, {
+    ...continuity_getBalanceProps(source, out),
+    ...source.getStateProps?.(out.reports),
+    [source.key + SINCE_PREV_START_KEY]: String(new Date(out.endDate)),
+  });
+}
+
+
+// Calls one of the registered sources to make a report covering the given
+// start and end dates for each requested currency, then sends an email to the
+// recipients specified in script properties.
+//
+// options: {
+//   currencies: list of currencies to report on. Default: from script properties
+//   mode: 'gross', 'net' or 'itemized'. Default: from script properties
+// }
+//
+// Returns: {
+//   reportDate: data current as of this date
+//   startDate: report start date (adjusted for data availability)
+//   endDate: report end date (adjusted for data availability)
+//   reports: list of per-currency reports, as returned by the module
+// }
+//
+// Returns 'null' if the start date was too new for any data to be available.
+function main_doReport_(sourceName, startDate, endDate=Date.now(), options={}) {
+  const source = source_get_(sourceName);
+
+  // Check the settings before making the report, so a typo doesn't waste a
+  // run.
+  main_getRecipients_(source);
+  main_getFileSettings_(source);
+
+  const out = main_makeReports_(source, startDate, endDate, options);
+  if (!out) {
+    return null;
   }
 
-  // If the start date was so new that there's no data available, pass the
-  // null back to this function's caller as well. Don't send any emails or
-  // throw any errors - just wait for the next trigger.
-  if (!res) {
-    console.log(`Skipping ... startDate ${main_prettyDate_(startDate)} `
-      + 'was too new, no new data has been published yet.');
-    return res;
+  main_sendReport_(source, out);
+
+  return out;
+}
+
+
+// Makes the statement files for the given reports (as returned by
+// main_makeReports_()), archives them and adds them to the ledger if those are
+// enabled, then emails them to the recipients specified in script properties.
+//
+// If the reports belong to a journaled run (see journal.js), what was archived
+// and added to the ledger is recorded on the run's entry, so that delivering
+// the run again after the email fails doesn't do either twice.
+function main_sendReport_(source, out, entry=null) {
+  const tz = Session.getScriptTimeZone();
+
+  const recipients = main_getRecipients_(source);
+
+  const {formats, fileOptions} = main_getFileSettings_(source);
+
+  const reports = out.reports;
+
+  // Check that the balances add up before anything goes out, since a gap
+  // means the bank balance in QuickBooks would be wrong.
+  const discrepancies = reports.flatMap((res) => continuity_check(source, res));
+  if (discrepancies.length > 0 && continuity_isBlocking()) {
+    throw new Error(`${source.name} statement not sent, balances don't add `
+      + 'up:\n' + discrepancies.join('\n') + `\nSet the script property `
+      + `${CONTINUITY_BLOCK_KEY} to 'false' to send it anyway.`);
   }
 
+  let discrepancyWarning = '';
+  if (discrepancies.length > 0) {
+    discrepancyWarning = `
+<p style="color:#C5221F; font-weight:bold; font-size:130%">
+WARNING: the balances in this statement don't add up. Check for missing or
+duplicated transactions before importing it.</p>
+<ul style="color:#C5221F">${
+  discrepancies.map((d) => `\n  <li>${d}</li>`).join('')
+}
+</ul>
+`;
+  }
 
   const fileDate = Utilities.formatDate(
-    new Date(res.reportDate), tz, 'yyyyMMdd_HHmmss'
+    new Date(out.reportDate), tz, 'yyyyMMdd_HHmmss'
   );
-  const fileName = `${targetPretty}_${fileDate}.ofx`;
 
-  const startDatePretty = main_prettyDate_(res.startDate, tz);
-  const endDatePretty = main_prettyDate_(res.endDate, tz);
-  const reportDatePretty = main_prettyDate_(res.reportDate, tz);
+  const startDatePretty = main_prettyDate_(out.startDate, tz);
+  const endDatePretty = main_prettyDate_(out.endDate, tz);
+  const reportDatePretty = main_prettyDate_(out.reportDate, tz);
 
   const locale = Session.getActiveUserLocale() || 'en-US';
-  const money = new Intl.NumberFormat(locale, {
-    style: 'currency',
-    currency: currency
-  });
 
+  const attachments = [];
+  const blobsByReport = [];
+  let balanceRows = '';
+  for (const res of reports) {
+    const blobs = formats.map((format) => main_makeAttachment_(
+      format, res, `${source.name}_${res.currency}_${fileDate}`, fileOptions
+    ));
+    attachments.push(...blobs);
+    blobsByReport.push(blobs);
+
+    const money = new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: res.currency
+    });
+    if (res.openingBalance !== null && res.openingBalance !== undefined) {
+      balanceRows += `
+  <tr><th>Opening Balance (${res.currency})</th><td>${money.format(res.openingBalance)}</td></tr>`;
+    }
+    balanceRows += `
+  <tr><th>Balance (${res.currency})</th><td>${money.format(res.balance)}</td></tr>`;
+    // Break the balance down into the parts the source reports, if any.
+    for (const [label, amount] of [
+      ['Available', res.availableBalance],
+      ['Pending', res.pendingBalance],
+      ['Withheld', res.withheldBalance],
+    ]) {
+      if (amount !== null && amount !== undefined) {
+        balanceRows += `
+  <tr><th>${label} (${res.currency})</th><td>${money.format(amount)}</td></tr>`;
+      }
+    }
+    balanceRows += `
+  <tr><th>Transactions (${res.currency})</th><td>${res.numTxns}</td></tr>`;
+  }
+
+
+  // Save a copy of every file to Drive, if the user asked for it. Wait until
+  // all the files have been made, so that nothing is archived if one of
+  // them turns out to be invalid.
+  let archiveLinks = '';
+  if (archive_isEnabled()) {
+    let files = entry?.archived;
+    if (!files) {
+      files = [];
+      for (const [i, res] of reports.entries()) {
+        files.push(...archive_save(source, res, blobsByReport[i]));
+      }
+      if (entry) {
+        journal_update(source, entry, entry.status, {archived: files});
+      }
+    }
+    const links = files.map((file) => `<a href="${file.url}">${file.name}</a>`);
+    archiveLinks = `
+<p>Archived to Google Drive: ${links.join(', ')}`;
+  }
+
+  // Append the transactions to the Sheets ledger, if the user asked for it.
+  let ledgerLink = '';
+  if (ledger_isEnabled()) {
+    let ledger = entry?.ledger;
+    if (!ledger) {
+      ledger = {url: null, added: 0};
+      for (const res of reports) {
+        const result = ledger_append(source, res);
+        ledger.url = result.url;
+        ledger.added += result.added;
+      }
+      if (entry) {
+        journal_update(source, entry, entry.status, {ledger: ledger});
+      }
+    }
+    ledgerLink = `
+<p>Added ${ledger.added} transaction(s) to the <a href="${ledger.url}">ledger</a>.`;
+  }
 
   // Send email to specified recipients.
   MailApp.sendEmail({
     to: recipients,
-    subject: `[Google Bot] ${targetPretty} statement since ${startDatePretty}`,
+    subject: `[Google Bot] ${source.name} statement since ${startDatePretty}`,
     name: 'Statement Manager',
     noReply: true,
-    attachments: [
-      ofx_makeBlob(res.ofx, fileName)
-    ],
-    htmlBody: `
+    attachments: attachments,
+    htmlBody: main_makeEmailHtml_(
+      source.colors,
+      `New Report from Statement Manager for ${source.name}`,
+      `${discrepancyWarning}
+<table>
+  <tr><th>Source</th><td><a href="${source.url}">${source.name}</a></td></tr>
+  <tr><th>Start</th><td>${startDatePretty}</td></tr>
+  <tr><th>End</th><td>${endDatePretty}</td></tr>${balanceRows}
+</table>
+
+<p>The data used to produce this report was current as of ${reportDatePretty}.
+${archiveLinks}${ledgerLink}${rules_makeHtml(reports)}
+<p><a href="https://qbo.intuit.com/app/newfileupload">
+Upload to QuickBooks Online Here</a>
+`)
+  });
+}
+
+
+// Calls the given source to make a report covering the given start and end
+// dates for each requested currency. Takes the same options as
+// main_doReport_(), plus:
+//   holdPending: let the source hold transactions back for a later report
+//                (see sources.js). Only for reports that are delivered with
+//                main_deliver_(), which saves what was held. Default: false
+//
+// Returns: {
+//   reportDate: data current as of this date
+//   startDate: report start date (adjusted for data availability)
+//   endDate: report end date (adjusted for data availability)
+//   mode: mode that the reports were made in
+//   reports: list of per-currency reports, as returned by the module
+// }
+//
+// Returns 'null' if the start date was too new for any data to be available.
+function main_makeReports_(source, startDate, endDate, options={}) {
+  const ps = PropertiesService.getScriptProperties();
+
+  const missing = source_getMissingCredentials_(source, ps.getProperties());
+  if (missing.length > 0) {
+    throw new Error(
+      `${source.name} credentials missing. Please set the following script `
+      + 'properties: ' + missing.join(', ')
+    );
+  }
+
+  const mode = options.mode
+    || profile_getSetting(MODE_KEY, source.profile) || 'net';
+
+  // Use the currencies from script properties if the user listed any,
+  // otherwise report on every currency the account holds.
+  let currencies = options.currencies
+    ?? main_parseList_(profile_getSetting(CURRENCY_KEY, source.profile) ?? '');
+  currencies = currencies.map((c) => c.toUpperCase());
+  if (currencies.length == 0) {
+    currencies = source.getCurrencies();
+  }
+  if (currencies.length == 0) {
+    currencies = ['USD'];
+  }
+
+  // Construct a report for each currency from previous end date (if any), up
+  // to as close to the current time as we have data for.
+  const reports = [];
+  for (const currency of currencies) {
+    let res;
+    try {
+      res = source.makeReport(startDate, endDate, currency, mode,
+        !!options.holdPending);
+    } catch(e) {
+      // Note what the report was for, for alert emails (see alert.js).
+      Object.assign(e, {
+        source: source.name,
+        startDate: new Date(startDate).getTime(),
+        endDate: new Date(endDate).getTime(),
+        currency: currency,
+      });
+      throw e;
+    }
+
+    // If the start date was so new that there's no data available, pass the
+    // null back to this function's caller as well. Don't send any emails or
+    // throw any errors - just wait for the next trigger.
+    if (!res) {
+      console.log(`Skipping ... startDate ${main_prettyDate_(startDate)} `
+        + 'was too new, no new data has been published yet. '
+        + `${source.name} may take up to `
+        + `${source.dataDelay_ms / (60 * 60 * 1000)} hour(s) to publish data.`);
+      return null;
+    }
+
+    // Make sure the statements for every currency cover exactly the same
+    // interval, even if more data became available while we were working.
+    endDate = res.endDate;
+
+    const acctId = ps.getProperty(source.key + ACCOUNT_ID_KEY);
+    if (acctId) {
+      res.acctId = acctId;
+      res.ofx = ofx_makeStatement(res);
+    }
+
+    reports.push(res);
+  }
+
+  return {
+    reportDate: reports[0].reportDate,
+    startDate: reports[0].startDate,
+    endDate: reports[0].endDate,
+    mode: mode,
+    reports: reports,
+  };
+}
+
+
+// Returns the report email recipients for the given source from script
+// properties. Pass null for the recipients of the default account. Like
+// credentials, a profile's recipients never fall back to the default
+// account's, so one organization's statements aren't sent to another.
+function main_getRecipients_(source=null) {
+  const ps = PropertiesService.getScriptProperties();
+  const recipients = ps.getProperty(
+    profile_getKey(RECIPIENTS_KEY, source?.profile ?? null)
+  );
+  if (!recipients) {
+    throw new Error(
+      'Email recipients missing. Please set the script property '
+      + profile_getKey(RECIPIENTS_KEY, source?.profile ?? null)
+      + ' to a comma-separated list of the email addresses that you want to '
+      + 'send this report to.'
+    );
+  }
+  return recipients;
+}
+
+
+// Reads and checks the file format settings for the given source from script
+// properties.
+//
+// Returns: {
+//   formats: list of file formats to attach to the report email
+//   fileOptions: options to pass to main_makeAttachment_()
+// }
+function main_getFileSettings_(source) {
+  const ps = PropertiesService.getScriptProperties();
+
+  const formats = main_parseList_(
+    profile_getSetting(FORMATS_KEY, source.profile) ?? 'ofx'
+  )
+    .map((f) => f.toLowerCase());
+  for (const format of formats) {
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw new Error(`Unsupported file format '${format}' in script property `
+        + `${FORMATS_KEY}. Supported formats are: `
+        + SUPPORTED_FORMATS.join(', '));
+    }
+  }
+
+  const fileOptions = {
+    ofxVersion: (profile_getSetting(OFX_VERSION_KEY, source.profile) || '102')
+      .trim(),
+    intuBid: ps.getProperty(source.key + QBO_INTU_BID_KEY),
+    bankId: ps.getProperty(source.key + QBO_BANK_ID_KEY),
+  };
+  if (!ofx_VERSIONS.has(fileOptions.ofxVersion)) {
+    throw new Error(`Unsupported OFX version '${fileOptions.ofxVersion}' in `
+      + `script property ${OFX_VERSION_KEY}. Supported versions are: `
+      + [...ofx_VERSIONS].join(', '));
+  }
+  if (formats.includes('qbo') && !(fileOptions.intuBid && fileOptions.bankId)) {
+    throw new Error(
+      'QuickBooks Web Connect settings missing. Please set the script '
+      + `properties ${source.key + QBO_INTU_BID_KEY} and `
+      + `${source.key + QBO_BANK_ID_KEY}, or remove 'qbo' from ${FORMATS_KEY}.`
+    );
+  }
+
+  return {formats: formats, fileOptions: fileOptions};
+}
+
+
+// Wraps the given HTML content in the standard email layout, with the given
+// heading. 'colors' is a {primary, secondary} object like the one in each
+// source's registry entry.
+function main_makeEmailHtml_(colors, heading, content) {
+  return `
 <html>
 <head>
 <style>
   table {
-    border: solid 12px ${targetColor};
+    border: solid 12px ${colors.primary};
     border-collapse: collapse;
     margin-top: 25px;
     margin-bottom: 25px;
   }
   tr {
-    border-bottom: 1px solid ${targetColor};
+    border-bottom: 1px solid ${colors.secondary};
   }
   th {
     text-align: right;
@@ -208,21 +805,8 @@ function main_doReport_(targetPretty, startDate, endDate=Date.now()) {
 </style>
 </head>
 <body>
-<h2 style="color:${targetColor}">New Report from Statement Manager for ${targetPretty}</h2>
-
-<table>
-  <tr><th>Target</th><td><a href="${targetUrl}">${targetPretty}</a></td></tr>
-  <tr><th>Start</th><td>${startDatePretty}</td></tr>
-  <tr><th>End</th><td>${endDatePretty}</td></tr>
-  <tr><th>Balance</th><td>${money.format(res.balance)}</td></tr>
-  <tr><th>Transactions</th><td>${res.numTxns}</td></tr>
-</table>
-
-<p>The data used to produce this report was current as of ${reportDatePretty}.
-
-<p><a href="https://qbo.intuit.com/app/newfileupload">
-Upload to QuickBooks Online Here</a>
-
+<h2 style="color:${colors.primary}">${heading}</h2>
+${content}
 <br>
 <hr/>
 <p style="font-size: 100%">This email was sent automatically by Google, from the
@@ -230,10 +814,64 @@ Upload to QuickBooks Online Here</a>
 Statement Manager</a> Apps Script.
 </body>
 </html>
-`
-  });
+`;
+}
+
+
+// Escapes text for use in HTML content and attribute values.
+function main_escapeHtml_(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+
+// Escapes text that's written to a spreadsheet cell, so that a payer named
+// '=HYPERLINK(...)' isn't run as a formula. Spreadsheets hide the leading
+// quote and show the text as it is.
+function main_escapeFormula_(str) {
+  str = String(str);
+  return /^[=+\-@]/.test(str) ? "'" + str : str;
+}
 
-  return res;
+
+// Renders the given report in the given file format, and returns it as a
+// blob with the given base file name (the extension is added automatically).
+//
+// options: {
+//   ofxVersion: OFX version to write 'ofx' files in
+//   intuBid: Intuit bank ID to write in 'qbo' files
+//   bankId: routing number to write in 'qbo' files
+// }
+function main_makeAttachment_(format, report, baseName, options={}) {
+  const ofxVersion = options.ofxVersion ?? '102';
+  let str;
+  switch(format) {
+    case 'ofx':
+      // Never send out an invalid statement, it would just fail to import.
+      str = ofx_makeStatement(report, ofxVersion);
+      ofx_reader_assertValid(str, baseName + '.ofx');
+      return ofx_makeBlob(str, baseName, ofxVersion);
+    case 'qbo':
+      str = ofx_makeQboStatement(report, options.intuBid, options.bankId);
+      ofx_reader_assertValid(str, baseName + '.qbo');
+      return ofx_makeQboBlob(str, baseName);
+    case 'csv':
+      return csv_makeBlob(csv_makeStatement(report), baseName);
+    case 'qif':
+      return qif_makeBlob(qif_makeStatement(report), baseName);
+  }
+  throw new Error(`Unsupported file format '${format}'.`);
+}
+
+
+// Splits a comma-separated list from script properties into its trimmed,
+// non-empty entries.
+function main_parseList_(str) {
+  return str.split(',').map((item) => item.trim()).filter((item) => item);
 }
 
 
@@ -282,3 +920,43 @@ function main_buildUrl(url, params) {
 
   return url + (url.indexOf('?') >= 0 ? '&' : '?') + makeQueryString(params);
 }
+
+
+// Splits the given parts of a payment (sales tax, shipping, etc.) out of its
+// statement line, for 'itemized' mode. The line's amount is reduced by the
+// parts, and a statement line is returned for each part, so that the lines
+// still add up to the payment.
+//
+// Each part is {key, name, amount}. 'key' is added to the ID of the payment's
+// line to make the ID of the part's line, so it's the same every time the
+// statement is made. Parts with a zero amount are skipped. 'currency' is the
+// currency of the statement, which sets how many digits amounts are rounded
+// to.
+//
+// Apply rules (see rules_apply()) to the line before calling this, so that
+// they see the whole payment in every mode.
+function main_itemize_(line, parts, currency) {
+  let out = [];
+  for (const part of parts) {
+    if (!part.amount) {
+      continue;
+    }
+    line.amount -= part.amount;
+    out.push({
+      type: part.amount >= 0 ? 'CREDIT' : 'DEBIT',
+      date: line.date,
+      amount: part.amount,
+      id: `${line.id}-${part.key}`,
+      name: part.name,
+      memo: 'for:' + line.id,
+    });
+  }
+  // Don't leave floating point dust behind, ex: 10.000000000000002
+  const digits = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency
+  }).resolvedOptions().maximumFractionDigits;
+  const unit = Math.pow(10, digits);
+  line.amount = Math.round(line.amount * unit) / unit;
+  return out;
+}
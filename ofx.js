@@ -4,6 +4,17 @@
  */
 
 
+/* OFX versions that can be written.
+ *
+ * Version 1.0.2 is SGML, where elements that hold data are never closed.
+ * Versions 2.x are well-formed XML.
+ */
+const ofx_VERSIONS = new Set([
+  '102', // OFX 1.0.2 (SGML)
+  '211', // OFX 2.1.1 (XML)
+  '220', // OFX 2.2 (XML)
+]);
+
 /* Transaction types allowed in ofxTxn().
  * 
  * It's not the full list from the spec, just the ones
@@ -26,6 +37,12 @@ const ofx_TXN_TYPES = new Set([
  *   endDate: end of datetime range that this report covers
  *   bankId: max 9 alphanumeric characters
  *   acctId: max 22 alphanumeric characters
+ *   currency: three letter ISO currency code
+ *   version: OFX version to write (see ofx_VERSIONS at top). Default: '102'
+ *   fi: optional financial institution info, used by QuickBooks Web Connect {
+ *     org: name of the financial institution
+ *     intuBid: Intuit bank ID that QuickBooks uses to identify the institution
+ *   }
  * 
  * For example, if I create the report at 8am EDT on 08/24/2024, and I asked
  * for transactions from 01/01/2023 through 01/31/2023, you'd pass in dates
@@ -35,35 +52,33 @@ const ofx_TXN_TYPES = new Set([
  *    endDate = "2024-02-01T00:00:00-0400"
  */
 function ofx_makeHeader(fileDate, startDate, endDate,
-  bankId='00', acctId='00', currency='USD') {
-    ret =
-`OFXHEADER:100
-DATA:OFXSGML
-VERSION:102
-SECURITY:NONE
-ENCODING:USASCII
-CHARSET:1252
-COMPRESSION:NONE
-OLDFILEUID:NONE
-NEWFILEUID:NONE
-
+  bankId='00', acctId='00', currency='USD', version='102', fi=null) {
+    const e = (tag, value) => ofx_elem_(tag, value, version);
+    let fiInfo = '';
+    if (fi) {
+      fiInfo = `
+<FI>${e('ORG', ofx_escape_(fi.org.substring(0,32)))}${e('FID', fi.intuBid)}</FI>
+${e('INTU.BID', fi.intuBid)}`;
+    }
+    const ret =
+`${ofx_fileHeader_(version)}
 <OFX>
 <SIGNONMSGSRSV1><SONRS>
-<STATUS><CODE>0<SEVERITY>INFO</STATUS>
-<DTSERVER>${ofx_date_(fileDate)}
-<LANGUAGE>ENG
+<STATUS>${e('CODE', 0)}${e('SEVERITY', 'INFO')}</STATUS>
+${e('DTSERVER', ofx_date_(fileDate))}
+${e('LANGUAGE', 'ENG')}${fiInfo}
 </SONRS></SIGNONMSGSRSV1>
-<BANKMSGSRSV1><STMTTRNRS><TRNUID>0<STATUS><CODE>0<SEVERITY>INFO</STATUS>
+<BANKMSGSRSV1><STMTTRNRS>${e('TRNUID', 0)}<STATUS>${e('CODE', 0)}${e('SEVERITY', 'INFO')}</STATUS>
 <STMTRS>
-  <CURDEF>${currency.substring(0,3)}
+  ${e('CURDEF', currency.substring(0,3))}
   <BANKACCTFROM>
-    <BANKID>${ofx_escape_(bankId.substring(0,9))}
-    <ACCTID>${ofx_escape_(acctId.substring(0,22))}
-    <ACCTTYPE>CHECKING
+    ${e('BANKID', ofx_escape_(bankId.substring(0,9)))}
+    ${e('ACCTID', ofx_escape_(acctId.substring(0,22)))}
+    ${e('ACCTTYPE', 'CHECKING')}
   </BANKACCTFROM>
   <BANKTRANLIST>
-    <DTSTART>${ofx_date_(startDate)}
-    <DTEND>${ofx_date_(endDate)}`;
+    ${e('DTSTART', ofx_date_(startDate))}
+    ${e('DTEND', ofx_date_(endDate))}`;
     return ret;
 }
 
@@ -79,25 +94,33 @@ NEWFILEUID:NONE
  *   id: unique transaction ID issued by financial institution (max 255 chars)
  *   name: name of payee or txn description (max 32 chars)
  *   memo: additional info not in name (max 255 chars)
+ *   version: OFX version to write (see ofx_VERSIONS at top). Default: '102'
+ *
+ * Leading and trailing whitespace is trimmed from name and memo, and they're
+ * left out if nothing's left.
  */
-function ofx_makeTxn(type, date, amount, id, name, memo) {
+function ofx_makeTxn(type, date, amount, id, name, memo, version='102') {
+  const e = (tag, value) => ofx_elem_(tag, value, version);
+  const text = (str, max) => (str ?? '').trim().substring(0, max).trimEnd();
+  name = text(name, 32);
+  memo = text(memo, 255);
   type = type.toUpperCase();
   if (!ofx_TXN_TYPES.has(type)) {
-    throw new Error('Given transaction type ${type} is not valid.');
+    throw new Error(`Given transaction type ${type} is not valid.`);
   }
-  ret = `
+  let ret = `
     <STMTTRN>
-      <TRNTYPE>${type}
-      <DTPOSTED>${ofx_date_(date)}
-      <TRNAMT>${amount.toFixed(2)}
-      <FITID>${ofx_escape_(id.substring(0,255))}`;
+      ${e('TRNTYPE', type)}
+      ${e('DTPOSTED', ofx_date_(date))}
+      ${e('TRNAMT', amount.toFixed(2))}
+      ${e('FITID', ofx_escape_(id.substring(0,255)))}`;
   if (name) {
     ret += `
-      <NAME>${ofx_escape_(name.substring(0,32))}`;
+      ${e('NAME', ofx_escape_(name))}`;
   }
   if (memo) {
     ret += `
-      <MEMO>${ofx_escape_(memo.substring(0,255))}`;
+      ${e('MEMO', ofx_escape_(memo))}`;
   }
   ret += `
     </STMTTRN>`;
@@ -112,20 +135,114 @@ function ofx_makeTxn(type, date, amount, id, name, memo) {
  * Parameters:
  *   balanceAmount: balance in account after all the transactions.
  *   asOfDate: datetime at which the account balance was the above amount.
+ *   version: OFX version to write (see ofx_VERSIONS at top). Default: '102'
+ *   available: optional {amount, date} of the funds available to withdraw,
+ *              written as AVAILBAL. Default: none
  */
-function ofx_makeFooter(balanceAmount, asOfDate) {
+function ofx_makeFooter(balanceAmount, asOfDate, version='102', available=null) {
+  const e = (tag, value) => ofx_elem_(tag, value, version);
+  let availBal = '';
+  if (available) {
+    availBal = `
+  <AVAILBAL>
+    ${e('BALAMT', available.amount.toFixed(2))}
+    ${e('DTASOF', ofx_date_(available.date))}
+  </AVAILBAL>`;
+  }
   return `
   </BANKTRANLIST>
   <LEDGERBAL>
-    <BALAMT>${balanceAmount.toFixed(2)}
-    <DTASOF>${ofx_date_(asOfDate)}
-  </LEDGERBAL>
+    ${e('BALAMT', balanceAmount.toFixed(2))}
+    ${e('DTASOF', ofx_date_(asOfDate))}
+  </LEDGERBAL>${availBal}
 </STMTRS>
 </STMTTRNRS></BANKMSGSRSV1>
 </OFX>`;
 }
 
 
+/* Returns a full OFX file as a string, built from the given statement.
+ *
+ * This is equivalent to calling ofx_makeHeader(), then ofx_makeTxn() for
+ * each transaction, then ofx_makeFooter().
+ * 
+ * Parameters: {
+ *   reportDate: datetime that the data in this statement was retrieved
+ *   startDate: start of datetime range that this statement covers
+ *   endDate: end of datetime range that this statement covers
+ *   bankId: max 9 alphanumeric characters
+ *   acctId: max 22 alphanumeric characters
+ *   currency: three letter ISO currency code
+ *   balance: balance in account after all the transactions
+ *   availableBalance: (optional) funds available to withdraw, or null
+ *   availableBalanceDate: datetime at which availableBalance was current.
+ *                         Default: endDate
+ *   txns: list of {type, date, amount, id, name, memo} objects, see
+ *         ofx_makeTxn() for the meaning of each field
+ * }
+ * version: OFX version to write (see ofx_VERSIONS at top). Default: '102'
+ * fi: optional financial institution info, see ofx_makeHeader()
+ */
+function ofx_makeStatement(stmt, version='102', fi=null) {
+  let ret = ofx_makeHeader(
+    stmt.reportDate,
+    stmt.startDate,
+    stmt.endDate,
+    stmt.bankId,
+    stmt.acctId,
+    stmt.currency,
+    version,
+    fi
+  );
+
+  for (const txn of stmt.txns) {
+    ret += ofx_makeTxn(
+      txn.type, txn.date, txn.amount, txn.id, txn.name, txn.memo, version
+    );
+  }
+
+  const available = (stmt.availableBalance ?? null) === null ? null : {
+    amount: stmt.availableBalance,
+    date: stmt.availableBalanceDate ?? stmt.endDate,
+  };
+  ret += ofx_makeFooter(stmt.balance, stmt.endDate, version, available);
+
+  return ret;
+}
+
+
+/* Returns a QuickBooks Web Connect (.qbo) file as a string, built from the
+ * given statement.
+ *
+ * Web Connect files are OFX 1.0.2 files that also identify the financial
+ * institution by its Intuit bank ID, and use a routing number as the bank ID.
+ * 
+ * Parameters:
+ *   stmt: statement in the format accepted by ofx_makeStatement(). Its bankId
+ *         is used as the name of the financial institution.
+ *   intuBid: Intuit bank ID (INTU.BID) to identify the institution as
+ *   bankId: 9 digit ABA routing number to write as the BANKID
+ */
+function ofx_makeQboStatement(stmt, intuBid, bankId) {
+  intuBid = String(intuBid).trim();
+  bankId = String(bankId).trim();
+
+  if (!/^[0-9]{1,9}$/.test(intuBid)) {
+    throw new Error(`Given Intuit bank ID ${intuBid} is not valid, `
+      + 'it must be a number with at most 9 digits.');
+  }
+  if (!ofx_isRoutingNumber_(bankId)) {
+    throw new Error(`Given bank ID ${bankId} is not a valid ABA routing number.`);
+  }
+
+  return ofx_makeStatement(
+    {...stmt, bankId: bankId},
+    '102',
+    {org: stmt.bankId, intuBid: intuBid}
+  );
+}
+
+
 /* Returns the given string as a binary blob with the correct MIME
  * type for this OFX file. This blob can then be attached to an email,
  * saved to drive, whatever.
@@ -133,13 +250,36 @@ function ofx_makeFooter(balanceAmount, asOfDate) {
  * Parameters: {
  *  str: string containing OFX file
  *  name: name to give the blob for when it's saved as a file
+ *  version: OFX version that the file was written in. Default: '102'
  * }
  */
-function ofx_makeBlob(str, name) {
+function ofx_makeBlob(str, name, version='102') {
   if (!name.endsWith('.ofx')) {
     name += '.ofx';
   }
-  return Utilities.newBlob(str, 'application/x-ofx;version="1.02"', name);
+  // '102' -> '1.0.2', '211' -> '2.1.1', '220' -> '2.2'
+  const mimeVersion = [...version].join('.').replace(/\.0$/, '');
+  return Utilities.newBlob(
+    str, `application/x-ofx;version="${mimeVersion}"`, name
+  );
+}
+
+
+
+/* Returns the given string as a binary blob with the correct MIME
+ * type for this QuickBooks Web Connect file. This blob can then be attached
+ * to an email, saved to drive, whatever.
+ * 
+ * Parameters: {
+ *  str: string containing QBO file
+ *  name: name to give the blob for when it's saved as a file
+ * }
+ */
+function ofx_makeQboBlob(str, name) {
+  if (!name.endsWith('.qbo')) {
+    name += '.qbo';
+  }
+  return Utilities.newBlob(str, 'application/vnd.intu.qbo', name);
 }
 
 
@@ -147,6 +287,55 @@ function ofx_makeBlob(str, name) {
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - */
 /* Helper functions. */
 
+/* Returns the file header that comes before the <OFX> element, for the
+ * given OFX version.
+ */
+function ofx_fileHeader_(version) {
+  if (!ofx_VERSIONS.has(version)) {
+    throw new Error(`Given OFX version ${version} is not supported.`);
+  }
+
+  if (version === '102') {
+    return `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+SECURITY:NONE
+ENCODING:USASCII
+CHARSET:1252
+COMPRESSION:NONE
+OLDFILEUID:NONE
+NEWFILEUID:NONE
+`;
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<?OFX OFXHEADER="200" VERSION="${version}" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>`;
+}
+
+/* Returns an element that holds data. OFX 1.0.2 (SGML) leaves these
+ * elements unclosed, OFX 2.x (XML) requires an end tag.
+ */
+function ofx_elem_(tag, value, version) {
+  if (version === '102') {
+    return `<${tag}>${value}`;
+  }
+  return `<${tag}>${value}</${tag}>`;
+}
+
+/* Returns true if the given string is a 9 digit ABA routing number with a
+ * valid checksum.
+ */
+function ofx_isRoutingNumber_(str) {
+  if (!/^[0-9]{9}$/.test(str)) {
+    return false;
+  }
+  const d = [...str].map(Number);
+  const sum = 3 * (d[0] + d[3] + d[6])
+            + 7 * (d[1] + d[4] + d[7])
+            +     (d[2] + d[5] + d[8]);
+  return sum % 10 === 0;
+}
+
 /* Escape the given string according to OFX's requirements for text data
  * in element payloads.
  */
@@ -154,7 +343,7 @@ function ofx_escape_(str) {
   return str
         .replaceAll('&','&amp;')
         .replaceAll('<','&lt;')
-        .replaceAll('>','&rt;');
+        .replaceAll('>','&gt;');
 }
 
 /* Convert the given date string or unix timestamp to OFX's datetime
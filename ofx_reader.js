@@ -0,0 +1,503 @@
+/* ofx_reader.js
+ *
+ * Reads OFX bank statements back in, and checks them against the rules of
+ * the OFX spec. Used to make sure that the files written by ofx.js are valid
+ * before anyone tries to import them.
+ *
+ * Understands both OFX 1.0.2 (SGML) and OFX 2.x (XML) files, but only the
+ * subset of OFX that ofx.js writes (a single bank statement).
+ *
+ * Main functions
+ * --------------
+ *
+ * * ofx_reader_parse:
+ *
+ *   Parses an OFX file into its header, account info, transactions and
+ *   balance. Throws an error if the file's structure is broken.
+ *
+ * * ofx_reader_validate:
+ *
+ *   Returns a list of every problem found in an OFX file.
+ *
+ * * ofx_reader_assertValid:
+ *
+ *   Throws an error listing every problem found in an OFX file, if any.
+ */
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+
+/* Every transaction type allowed by the OFX spec (section 11.4.3.1).
+ */
+const ofx_reader_TXN_TYPES_ = new Set([
+  'CREDIT', 'DEBIT', 'INT', 'DIV', 'FEE', 'SRVCHG', 'DEP', 'ATM', 'POS',
+  'XFER', 'CHECK', 'PAYMENT', 'CASH', 'DIRECTDEP', 'DIRECTDEBIT',
+  'REPEATPMT', 'OTHER',
+]);
+
+/* Maximum length of the data in each element, from the OFX spec.
+ */
+const ofx_reader_MAX_LENGTHS_ = {
+  'ORG': 32,
+  'FID': 32,
+  'LANGUAGE': 3,
+  'TRNUID': 36,
+  'CURDEF': 3,
+  'BANKID': 9,
+  'ACCTID': 22,
+  'FITID': 255,
+  'NAME': 32,
+  'MEMO': 255,
+};
+
+/* Elements that must be present in every statement, by path.
+ */
+const ofx_reader_REQUIRED_ = [
+  'SIGNONMSGSRSV1/SONRS/DTSERVER',
+  'BANKMSGSRSV1/STMTTRNRS/STMTRS/CURDEF',
+  'BANKMSGSRSV1/STMTTRNRS/STMTRS/BANKACCTFROM/BANKID',
+  'BANKMSGSRSV1/STMTTRNRS/STMTRS/BANKACCTFROM/ACCTID',
+  'BANKMSGSRSV1/STMTTRNRS/STMTRS/BANKACCTFROM/ACCTTYPE',
+  'BANKMSGSRSV1/STMTTRNRS/STMTRS/BANKTRANLIST/DTSTART',
+  'BANKMSGSRSV1/STMTTRNRS/STMTRS/BANKTRANLIST/DTEND',
+  'BANKMSGSRSV1/STMTTRNRS/STMTRS/LEDGERBAL/BALAMT',
+  'BANKMSGSRSV1/STMTTRNRS/STMTRS/LEDGERBAL/DTASOF',
+];
+
+/* Elements that must be present in every transaction.
+ */
+const ofx_reader_REQUIRED_TXN_ = ['TRNTYPE', 'DTPOSTED', 'TRNAMT', 'FITID'];
+
+const ofx_reader_DATE_REGEX_ =
+  /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(?:(\d{2})(?:\.(\d{3}))?)?)?(?:\[([+-]?\d+(?:\.\d+)?)(?::[A-Za-z]+)?\])?$/;
+
+const ofx_reader_AMOUNT_REGEX_ = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Public functions.
+ */
+
+/* ofx_reader_parse
+ *
+ * Parses the given OFX file.
+ *
+ * Throws an error if the file's structure is broken (bad header, elements
+ * that aren't closed or are closed in the wrong order, etc.). Doesn't check
+ * the contents of the elements, use ofx_reader_validate() for that.
+ *
+ * Returns: {
+ *   version: OFX version from the header, ex: '102', '220'
+ *   header: object containing every field in the header
+ *   fi: {org, intuBid} if present (QuickBooks Web Connect files only)
+ *   currency: currency code from CURDEF
+ *   bankId: bank ID
+ *   acctId: account ID
+ *   startDate: start of statement (unix timestamp in milliseconds)
+ *   endDate: end of statement (unix timestamp in milliseconds)
+ *   txns: list of {type, date, amount, id, name, memo}
+ *   balance: {amount, date}
+ *   availableBalance: {amount, date}, or null if the file has no AVAILBAL
+ *   tree: the parsed element tree, see ofx_reader_parseBody_()
+ * }
+ *
+ * Numbers and dates that can't be parsed are returned as NaN.
+ */
+function ofx_reader_parse(str) {
+  const start = str.indexOf('<OFX>');
+  if (start < 0) {
+    throw new Error('OFX file has no <OFX> element.');
+  }
+
+  const header = ofx_reader_parseHeader_(str.substring(0, start));
+  const isXml = header.OFXHEADER === '200';
+  const tree = ofx_reader_parseBody_(str.substring(start), isXml);
+
+  const ofx = ofx_reader_child_(tree, 'OFX');
+  const get = (path) => ofx_reader_value_(ofx_reader_find_(ofx, path));
+
+  const stmtrs = ofx_reader_find_(ofx, 'BANKMSGSRSV1/STMTTRNRS/STMTRS');
+  const tranlist = ofx_reader_find_(stmtrs, 'BANKTRANLIST');
+
+  const out = {
+    version: header.VERSION,
+    header: header,
+    currency: ofx_reader_value_(ofx_reader_find_(stmtrs, 'CURDEF')),
+    bankId: ofx_reader_value_(ofx_reader_find_(stmtrs, 'BANKACCTFROM/BANKID')),
+    acctId: ofx_reader_value_(ofx_reader_find_(stmtrs, 'BANKACCTFROM/ACCTID')),
+    startDate: ofx_reader_date_(ofx_reader_value_(
+      ofx_reader_find_(tranlist, 'DTSTART'))),
+    endDate: ofx_reader_date_(ofx_reader_value_(
+      ofx_reader_find_(tranlist, 'DTEND'))),
+    txns: [],
+    balance: {
+      amount: Number(ofx_reader_value_(
+        ofx_reader_find_(stmtrs, 'LEDGERBAL/BALAMT')) ?? NaN),
+      date: ofx_reader_date_(ofx_reader_value_(
+        ofx_reader_find_(stmtrs, 'LEDGERBAL/DTASOF'))),
+    },
+    availableBalance: null,
+    tree: tree,
+  };
+
+  const availBal = ofx_reader_find_(stmtrs, 'AVAILBAL');
+  if (availBal) {
+    out.availableBalance = {
+      amount: Number(ofx_reader_value_(
+        ofx_reader_find_(availBal, 'BALAMT')) ?? NaN),
+      date: ofx_reader_date_(ofx_reader_value_(
+        ofx_reader_find_(availBal, 'DTASOF'))),
+    };
+  }
+
+  const intuBid = get('SIGNONMSGSRSV1/SONRS/INTU.BID');
+  if (intuBid) {
+    out.fi = {
+      org: get('SIGNONMSGSRSV1/SONRS/FI/ORG'),
+      intuBid: intuBid,
+    };
+  }
+
+  for (const node of (tranlist?.children ?? [])) {
+    if (node.tag !== 'STMTTRN') {
+      continue;
+    }
+    const txnGet = (tag) => ofx_reader_value_(ofx_reader_child_(node, tag));
+    out.txns.push({
+      type: txnGet('TRNTYPE'),
+      date: ofx_reader_date_(txnGet('DTPOSTED')),
+      amount: Number(txnGet('TRNAMT') ?? NaN),
+      id: txnGet('FITID'),
+      name: txnGet('NAME'),
+      memo: txnGet('MEMO'),
+    });
+  }
+
+  return out;
+}
+
+
+/* ofx_reader_validate
+ *
+ * Checks the given OFX file against the rules of the OFX spec:
+ *   - header is present and well formed
+ *   - elements are properly nested and closed
+ *   - required elements are present
+ *   - element data doesn't exceed its maximum length
+ *   - special characters are escaped with the allowed entities
+ *   - dates and amounts are well formed, DTSTART is not after DTEND
+ *   - transaction types are valid
+ *   - transaction IDs (FITID) are unique
+ *
+ * Returns a list of strings describing each problem found. The list is empty
+ * if the file is valid.
+ */
+function ofx_reader_validate(str) {
+  let stmt;
+  try {
+    stmt = ofx_reader_parse(str);
+  } catch(e) {
+    return [e.message];
+  }
+
+  const errors = [];
+  const isXml = stmt.header.OFXHEADER === '200';
+
+  // Header.
+  if (isXml) {
+    if (!stmt.version || !stmt.version.startsWith('2')) {
+      errors.push(`OFX 2.x header has invalid VERSION '${stmt.version}'.`);
+    }
+  } else {
+    if (stmt.header.OFXHEADER !== '100') {
+      errors.push(`header has invalid OFXHEADER '${stmt.header.OFXHEADER}'.`);
+    }
+    if (stmt.header.DATA !== 'OFXSGML') {
+      errors.push(`header has invalid DATA '${stmt.header.DATA}'.`);
+    }
+    if (stmt.version !== '102') {
+      errors.push(`OFX 1.x header has invalid VERSION '${stmt.version}'.`);
+    }
+  }
+
+  // Element data: escaping, length, and end tags (XML only).
+  ofx_reader_walk_(stmt.tree, (node, path) => {
+    if (node.raw === undefined) {
+      return;
+    }
+    const entities = isXml ? 'amp|lt|gt|quot|apos' : 'amp|lt|gt';
+    if (!new RegExp(`^([^&<>]|&(${entities});)*$`).test(node.raw)) {
+      errors.push(`${path} contains unescaped characters or an invalid `
+        + `entity: '${node.raw}'.`);
+    }
+    const max = ofx_reader_MAX_LENGTHS_[node.tag];
+    if (max && node.value.length > max) {
+      errors.push(`${path} is longer than ${max} characters: '${node.value}'.`);
+    }
+    if (isXml && !node.closed) {
+      errors.push(`${path} is missing its end tag.`);
+    }
+  });
+
+  // Required elements.
+  const ofx = ofx_reader_child_(stmt.tree, 'OFX');
+  for (const path of ofx_reader_REQUIRED_) {
+    if (ofx_reader_value_(ofx_reader_find_(ofx, path)) === undefined) {
+      errors.push(`required element ${path} is missing.`);
+    }
+  }
+
+  // Statement level data.
+  if (stmt.currency !== undefined && !/^[A-Z]{3}$/.test(stmt.currency)) {
+    errors.push(`CURDEF '${stmt.currency}' is not a three letter currency code.`);
+  }
+  if (isNaN(stmt.startDate)) {
+    errors.push('DTSTART is not a valid date.');
+  }
+  if (isNaN(stmt.endDate)) {
+    errors.push('DTEND is not a valid date.');
+  }
+  if (stmt.startDate > stmt.endDate) {
+    errors.push('DTSTART is later than DTEND.');
+  }
+  if (isNaN(stmt.balance.amount)) {
+    errors.push('LEDGERBAL/BALAMT is not a valid amount.');
+  }
+  if (isNaN(stmt.balance.date)) {
+    errors.push('LEDGERBAL/DTASOF is not a valid date.');
+  }
+  if (stmt.availableBalance && isNaN(stmt.availableBalance.amount)) {
+    errors.push('AVAILBAL/BALAMT is not a valid amount.');
+  }
+  if (stmt.availableBalance && isNaN(stmt.availableBalance.date)) {
+    errors.push('AVAILBAL/DTASOF is not a valid date.');
+  }
+
+  // Transactions.
+  const tranlist = ofx_reader_find_(ofx, 'BANKMSGSRSV1/STMTTRNRS/STMTRS/BANKTRANLIST');
+  const txnNodes = (tranlist?.children ?? []).filter((n) => n.tag === 'STMTTRN');
+  const ids = new Set();
+  for (const [i, txn] of stmt.txns.entries()) {
+    const label = `transaction #${i+1} (FITID ${txn.id})`;
+
+    for (const tag of ofx_reader_REQUIRED_TXN_) {
+      if (ofx_reader_value_(ofx_reader_child_(txnNodes[i], tag)) === undefined) {
+        errors.push(`${label} is missing required element ${tag}.`);
+      }
+    }
+    if (txn.type !== undefined && !ofx_reader_TXN_TYPES_.has(txn.type)) {
+      errors.push(`${label} has invalid TRNTYPE '${txn.type}'.`);
+    }
+    if (isNaN(txn.date)) {
+      errors.push(`${label} has an invalid DTPOSTED.`);
+    }
+    const rawAmount = ofx_reader_value_(ofx_reader_child_(txnNodes[i], 'TRNAMT'));
+    if (rawAmount !== undefined && !ofx_reader_AMOUNT_REGEX_.test(rawAmount)) {
+      errors.push(`${label} has an invalid TRNAMT '${rawAmount}'.`);
+    }
+    if (txn.id !== undefined) {
+      if (ids.has(txn.id)) {
+        errors.push(`${label} has a duplicate FITID.`);
+      }
+      ids.add(txn.id);
+    }
+  }
+
+  return errors;
+}
+
+
+/* ofx_reader_assertValid
+ *
+ * Throws an error listing every problem in the given OFX file, if it has
+ * any. 'name' is used to identify the file in the error message.
+ */
+function ofx_reader_assertValid(str, name='OFX file') {
+  const errors = ofx_reader_validate(str);
+  if (errors.length > 0) {
+    console.error(str);
+    throw new Error(`${name} is not a valid OFX file:\n  `
+      + errors.join('\n  '));
+  }
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Internal helper functions.
+ */
+
+// Parses the part of the file before the <OFX> element. OFX 1.x uses a list
+// of KEY:VALUE lines, OFX 2.x uses an XML processing instruction.
+function ofx_reader_parseHeader_(str) {
+  const header = {};
+
+  if (str.trimStart().startsWith('<?xml')) {
+    const pi = str.match(/<\?OFX\s+([^?]*)\?>/);
+    if (!pi) {
+      throw new Error('OFX 2.x file is missing the <?OFX ...?> header.');
+    }
+    for (const [, key, value] of pi[1].matchAll(/([A-Z]+)="([^"]*)"/g)) {
+      header[key] = value;
+    }
+  } else {
+    for (const line of str.split(/\r?\n/)) {
+      if (!line.trim()) {
+        continue;
+      }
+      const i = line.indexOf(':');
+      if (i < 0) {
+        throw new Error(`OFX 1.x header has invalid line '${line}'.`);
+      }
+      header[line.substring(0, i).trim()] = line.substring(i + 1).trim();
+    }
+  }
+
+  if (!header.OFXHEADER) {
+    throw new Error('OFX file is missing its header.');
+  }
+
+  return header;
+}
+
+
+// Parses the <OFX> element into a tree of nodes. Aggregates look like:
+//   {tag, children: [...]}
+// and elements that hold data look like:
+//   {tag, raw: escaped data, value: unescaped data, closed: has end tag}
+//
+// In SGML, elements that hold data don't have end tags, so an element is
+// treated as an aggregate if there's no data between it and the next tag. If
+// it's never closed, it turns out to have been an empty data element, and
+// anything after it is moved back up to its parent. In XML, an element with
+// no data that's closed right away is an empty data element too.
+function ofx_reader_parseBody_(str, isXml) {
+  const root = {tag: '', children: []};
+  const stack = [root];
+  let lastLeaf = null;
+
+  const tokens = str.matchAll(/<(\/?)([^<>\s\/]+)>([^<]*)/g);
+  for (const [, close, tag, text] of tokens) {
+    const top = stack[stack.length - 1];
+    const raw = text.trim();
+
+    if (!close) {
+      if (raw !== '') {
+        lastLeaf = {tag: tag, raw: raw, value: ofx_reader_unescape_(raw),
+          closed: false};
+        top.children.push(lastLeaf);
+      } else {
+        const agg = {tag: tag, children: []};
+        top.children.push(agg);
+        stack.push(agg);
+        lastLeaf = null;
+      }
+      continue;
+    }
+
+    if (lastLeaf && lastLeaf.tag === tag) {
+      // End tag of an element that holds data (XML only).
+      lastLeaf.closed = true;
+    } else {
+      let depth = stack.length - 1;
+      while (!isXml && depth > 0 && stack[depth].tag !== tag) {
+        depth--;
+      }
+      if (depth < 1 || stack[depth].tag !== tag) {
+        throw new Error(`unexpected end tag </${tag}>`
+          + (stack.length > 1 ? `, expected </${top.tag}>.` : '.'));
+      }
+      while (stack.length - 1 > depth) {
+        ofx_reader_makeEmpty_(stack, false);
+      }
+      if (stack[depth].children.length === 0) {
+        ofx_reader_makeEmpty_(stack, true);
+      } else {
+        stack.pop();
+      }
+    }
+    lastLeaf = null;
+
+    if (raw !== '') {
+      throw new Error(`unexpected text after </${tag}>: '${raw}'.`);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`element <${stack[stack.length - 1].tag}> is never closed.`);
+  }
+
+  return root;
+}
+
+
+// Pops the aggregate on top of the given stack, and turns it into an empty
+// element that holds data. Its children are moved up to its parent.
+function ofx_reader_makeEmpty_(stack, closed) {
+  const agg = stack.pop();
+  const parent = stack[stack.length - 1];
+  parent.children.splice(parent.children.indexOf(agg), 1,
+    {tag: agg.tag, raw: '', value: '', closed: closed}, ...agg.children);
+}
+
+
+// Returns the first child of the given node with the given tag.
+function ofx_reader_child_(node, tag) {
+  return node?.children?.find((c) => c.tag === tag);
+}
+
+
+// Returns the node at the given slash-separated path below the given node.
+function ofx_reader_find_(node, path) {
+  for (const tag of path.split('/')) {
+    node = ofx_reader_child_(node, tag);
+  }
+  return node;
+}
+
+
+// Returns the unescaped data in the given node, or undefined if it's missing
+// or not an element that holds data.
+function ofx_reader_value_(node) {
+  return node?.value;
+}
+
+
+// Calls fn(node, path) for every node in the tree.
+function ofx_reader_walk_(node, fn, path='') {
+  for (const child of node.children ?? []) {
+    const childPath = path ? path + '/' + child.tag : child.tag;
+    fn(child, childPath);
+    ofx_reader_walk_(child, fn, childPath);
+  }
+}
+
+
+function ofx_reader_unescape_(str) {
+  return str
+    .replaceAll('&lt;', '<')
+    .replaceAll('&gt;', '>')
+    .replaceAll('&quot;', '"')
+    .replaceAll('&apos;', "'")
+    .replaceAll('&amp;', '&');
+}
+
+
+// Converts an OFX datetime (ex: 20240824120000.000[-5:EST]) to a unix
+// timestamp in milliseconds. Returns NaN if the date isn't valid. If there's
+// no timezone, it defaults to GMT as required by the spec.
+function ofx_reader_date_(str) {
+  const m = (str ?? '').match(ofx_reader_DATE_REGEX_);
+  if (!m) {
+    return NaN;
+  }
+  const [, y, mon, d, h, min, s, ms, offset] = m;
+  const utc = Date.UTC(
+    Number(y), Number(mon) - 1, Number(d),
+    Number(h ?? 0), Number(min ?? 0), Number(s ?? 0), Number(ms ?? 0)
+  );
+  return utc - Number(offset ?? 0) * 60 * 60 * 1000;
+}
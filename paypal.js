@@ -19,6 +19,16 @@
  * This code only requires the "Transaction search" feature. I recommend
  * creating your app credential for this script with all other features
  * disabled, to enhance security.
+ * 
+ * Pending transactions are left out of the scheduled statements (see
+ * main_doSinceLast_()) until they complete, and then reported as of the date
+ * they completed. Other statements, like a backfill or one made from the web
+ * app, report them as soon as they're made, since nothing would remember to
+ * report them later. To report them as soon as they're made in the scheduled
+ * statements too, set the following script property to 'include':
+ *   paypal_pending
+ * 
+ * Denied transactions never change the balance, and are always left out.
  */
 
 
@@ -31,6 +41,20 @@ const PAYPAL_BASEURL = 'https://api-m.paypal.com';
 
 const PAYPAL_MAX_INTERVAL_ms = 31 * 24 * 60 * 60 * 1000; // 31 days
 
+// Whether to report pending transactions right away: 'include' or 'exclude'.
+// (OPTIONAL - defaults to 'exclude')
+const PAYPAL_PENDING_KEY = 'paypal_pending';
+
+// JSON object of the pending transactions that were left out of a statement,
+// to report once they complete. Keyed by transaction ID, each one is
+// {date: initiation date, currency}. Saved once the statement that left them
+// out has been delivered (see paypal_getHeldProps()).
+const PAYPAL_HELD_KEY = 'paypal_held_txns';
+
+// How far apart in time the two halves of a currency conversion can be
+// recorded (see paypal_getConversions_()).
+const PAYPAL_CONVERSION_WINDOW_ms = 60 * 1000; // 1 minute
+
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
  * Public Functions.
@@ -41,35 +65,86 @@ const PAYPAL_MAX_INTERVAL_ms = 31 * 24 * 60 * 60 * 1000; // 31 days
  * Produce a PayPal bank statement containing all balance-affecting transacions
  * over the given time interval.
  * 
- * Currently, this function only supports producing reports for one currency at
- * a time.
+ * Each report covers a single currency. Use paypal_getCurrencies() to find
+ * every currency that the account holds, and make one report for each.
  * 
  * Note that PayPal only keeps transaction data for 3 years, requests for data
  * earlier than this may fail.
  * 
+ * PayPal records a currency conversion as a pair of transactions, one in each
+ * currency. Only the half in the report's currency is on the statement, but
+ * its memo gives both currencies and the exchange rate, and refers to the
+ * transaction that needed the conversion.
+ * 
  * Parameters:
  *   startDate: datetime where the report begins.
  *   endDate: datetime where the report ends (exclusive). Default: current time
  *   currency: only report txns & balances done in this currency. Default: USD
- *   mode: 'gross' or 'net' (default is 'net')
+ *   mode: 'gross', 'net' or 'itemized' (default is 'net')
  *     gross: gross payment amount and total fees are reported as two separate transactions.
  *     net: the net amount of the payment (gross - fees) is reported as one transaction.
+ *     itemized: like gross, but sales tax, shipping, insurance and discounts
+ *               are split out of the payment as separate transactions too.
+ *   holdPending: hold pending transactions back until they complete, unless
+ *                paypal_pending is 'include'. Only pass true if the report's
+ *                heldTxns will be saved once it's delivered (see
+ *                paypal_getHeldProps()). Default: false
  * 
  * Returns: {
  *   reportDate: data current as of this date
  *   startDate: report start date (adjusted for data availability)
  *   endDate: report end date (adjusted for data availability)
+ *   currency: currency that this report covers
  *   balance: balance as of the report end date
+ *   openingBalance: balance as of the report start date, or null if the
+ *                   source can't report it
+ *   availableBalance: funds available to pay out, or null if unknown
+ *   availableBalanceDate: datetime that availableBalance was current as of
+ *   pendingBalance: funds that aren't available to pay out yet, or null if
+ *                   unknown
+ *   withheldBalance: funds held back by the source, or null if unknown
  *   numTxns: number of transactions that occurred in the report interval
+ *   bankId: bank ID to use in the OFX header
+ *   acctId: account ID to use in the OFX header
+ *   txns: list of statement lines, in the format accepted by ofx_makeStatement()
+ *   entries: list of transactions, one per transaction regardless of mode: {
+ *     date, type, id, name, memo: same as the transaction's main statement line
+ *     gross: gross amount
+ *     fee: fee amount (negative if the fee was charged to the account)
+ *     net: net amount (gross + fee)
+ *     category: category of the transaction, as named by the source
+ *     rule: name of the rule that matched the transaction, or null if none
+ *           did (see rules.js). Undefined if the source has no rules.
+ *   }
  *   ofx: a string representing the full report, formatted as OFX data.
+ *   heldTxns: pending transactions in this currency that were left out of the
+ *             statement, in the same format as PAYPAL_HELD_KEY. Empty unless
+ *             holdPending.
  * }
  * 
  * Returns 'null' if the start date was so new that PayPal doesn't have data
  * available yet. PayPal's publishing interval may be up to 3 hours.
  */
-function paypal_makeReportOfx(startDate, endDate=Date.now(), currency='USD', mode='net') {
+function paypal_makeReportOfx(startDate, endDate=Date.now(), currency='USD',
+  mode='net', holdPending=false) {
   
   const isNet = mode === 'net';
+  const isItemized = mode === 'itemized';
+
+  currency = currency.toUpperCase();
+
+  // NAME and MEMO templates and rules set by the user, if any (see
+  // template.js and rules.js). Read them first, so a typo doesn't waste any
+  // requests.
+  const templates = template_get('paypal');
+  const rules = rules_get(profile_getKey('paypal'), 'paypal');
+
+  const pending = (profile_getSetting(PAYPAL_PENDING_KEY, profile_getCurrent())
+    ?? 'exclude').trim().toLowerCase();
+  if (pending !== 'include' && pending !== 'exclude') {
+    throw new Error(`Invalid value '${pending}' in script property `
+      + `${PAYPAL_PENDING_KEY}, it should be 'include' or 'exclude'.`);
+  }
 
   /*
     OFX reports: time interval DOES NOT include endDate.
@@ -81,7 +156,9 @@ function paypal_makeReportOfx(startDate, endDate=Date.now(), currency='USD', mod
   res = paypal_getTransactions_(
     startDate,
     new Date(endDate).getTime() - 1*1000,
-    currency
+    currency,
+    holdPending && pending === 'exclude',
+    holdPending ? paypal_getHeld_(currency) : {}
   );
 
   // If the start date was so new that there's no data available, pass the
@@ -94,20 +171,14 @@ function paypal_makeReportOfx(startDate, endDate=Date.now(), currency='USD', mod
   // (inclusive end) to an OFX definition (exclusive end).
   res.endDate = new Date(res.endDate).getTime() + 1*1000;
   
-  ofx = ofx_makeHeader(
-    res.reportDate,
-    res.startDate,
-    res.endDate,
-    "PayPal",
-    res.accountId,
-    currency
-  );
+  const txns = [];
+  const entries = [];
 
   for (const txn of res.txns) {
     const ti = txn.transaction_info;
     const pi = txn.payer_info;
 
-    const date = ti.transaction_updated_date ?? ti.transaction_initiation_date;
+    const date = paypal_getDate_(ti);
     const code = ti.transaction_event_code;
     const amountGross = Number(ti.transaction_amount.value);
     const amountFee = ti.fee_amount ? Number(ti.fee_amount.value) : 0;
@@ -140,6 +211,13 @@ function paypal_makeReportOfx(startDate, endDate=Date.now(), currency='USD', mod
       memo.push(ti.transaction_id);
     }
     
+    const conversion = res.conversions.get(ti.transaction_id);
+    if (conversion) {
+      memo.push(`converted ${conversion.from_amount} ${conversion.from_currency}`
+        + ` to ${conversion.to_amount} ${conversion.to_currency}`
+        + ` @ 1 ${conversion.from_currency} = ${conversion.rate}`
+        + ` ${conversion.to_currency}`);
+    }
     if (ti.transaction_subject){
       memo.push(ti.transaction_subject);
     }
@@ -147,42 +225,145 @@ function paypal_makeReportOfx(startDate, endDate=Date.now(), currency='USD', mod
       memo.push('PAYER:' + ti.paypal_account_id);
     }
     if (ti.paypal_reference_id) {
-      memo.push(ti.paypal_reference_id_type + ':' + ti.paypal_reference_id);
+      // Reversals and refunds refer back to the transaction they undo.
+      memo.push(paypal_isReversal_(code)
+        ? 'reversal of:' + ti.paypal_reference_id
+        : ti.paypal_reference_id_type + ':' + ti.paypal_reference_id);
     }
     if (ti.bank_reference_id) {
       memo.push('BANK:' + ti.bank_reference_id);
     }
 
-    ofx += ofx_makeTxn(
-      paypal_ofxTxnCode_(code, amountGross),
-      date,
-      isNet? amountNet : amountGross,
-      ti.transaction_id + '-' + code,
-      name,
-      memo.join(' // ')
-    );
+    const fields = {
+      ...txn,
+      type_name: txnTypeName,
+      conversion: conversion ?? null,
+      default_name: name,
+      default_memo: memo.join(' // '),
+    };
+    const text = template_apply(templates, fields);
+
+    const line = {
+      type: paypal_ofxTxnCode_(code, amountGross),
+      date: date,
+      amount: isNet? amountNet : amountGross,
+      id: ti.transaction_id + '-' + code,
+      name: text.name,
+      memo: text.memo,
+    };
+    const rule = rules_apply(rules, fields, line);
+    const parts = isItemized ? paypal_getParts_(ti, amountGross) : [];
+    const partLines = main_itemize_(line, parts, currency);
+    txns.push(line, ...partLines);
+
+    entries.push({
+      date: line.date,
+      type: line.type,
+      gross: amountGross,
+      fee: amountFee,
+      net: amountNet,
+      id: line.id,
+      name: line.name,
+      memo: line.memo,
+      rule: rules.length > 0 ? rule : undefined,
+      category: code + ' ' + txnTypeName,
+    });
 
     if (!isNet && amountFee != 0) {
-      ofx += ofx_makeTxn(
-        "FEE",
-        date,
-        amountFee,
-        ti.transaction_id + '-1',
-        'PayPal',
-        'processing fee for:' + ti.transaction_id
-      );
+      txns.push({
+        type: "FEE",
+        date: date,
+        amount: amountFee,
+        id: ti.transaction_id + '-1',
+        name: 'PayPal',
+        memo: 'processing fee for:' + ti.transaction_id,
+      });
     }
   }
 
-  ofx += ofx_makeFooter(res.balance, res.endDate);
-
-  return {
+  const out = {
     reportDate: res.reportDate,
     startDate: res.startDate,
     endDate: res.endDate,
+    currency: currency,
     balance: res.balance,
+    openingBalance: res.openingBalance,
+    availableBalance: res.available,
+    availableBalanceDate: res.endDate,
+    pendingBalance: null,
+    withheldBalance: res.withheld,
     numTxns: res.txns.length,
-    ofx: ofx,
+    bankId: "PayPal",
+    acctId: res.accountId,
+    txns: txns,
+    entries: entries,
+    heldTxns: res.held,
+  };
+  out.ofx = ofx_makeStatement(out);
+
+  return out;
+}
+
+
+/* paypal_getCurrencies
+ *
+ * Returns a sorted list of the three letter ISO codes (uppercase) of every
+ * currency that the PayPal account currently holds a balance in.
+ */
+function paypal_getCurrencies() {
+  const resp = paypal_http_fetch(PAYPAL_BASEURL + '/v1/reporting/balances');
+
+  const currencies = new Set();
+  for (const bal of resp.json.balances ?? []) {
+    currencies.add(bal.currency.toUpperCase());
+  }
+
+  console.log('Currencies held: ' + [...currencies].join(', '));
+
+  return [...currencies].sort();
+}
+
+
+/* paypal_getHeldProps
+ *
+ * Returns the script properties that record the pending transactions held
+ * back from the given reports (as returned by paypal_makeReportOfx()), to be
+ * saved once the reports have been delivered. Held transactions in other
+ * currencies are kept as they are.
+ */
+function paypal_getHeldProps(reports) {
+  const held = paypal_getHeld_();
+  for (const res of reports) {
+    for (const id of Object.keys(held)) {
+      if (held[id].currency === res.currency) {
+        delete held[id];
+      }
+    }
+    Object.assign(held, res.heldTxns);
+  }
+  return {[profile_getKey(PAYPAL_HELD_KEY)]: JSON.stringify(held)};
+}
+
+
+/* paypal_source
+ *
+ * Describes this module to the source registry (see sources.js).
+ */
+function paypal_source() {
+  return {
+    key: 'paypal',
+    name: 'PayPal',
+    makeReport: paypal_makeReportOfx,
+    getCurrencies: paypal_getCurrencies,
+    getStateProps: paypal_getHeldProps,
+    dataDelay_ms: 3 * 60 * 60 * 1000, // 3 hours
+    url: 'https://paypal.com/mep/dashboard',
+    colors: {
+      primary: '#003087',
+      secondary: '#009CDE',
+    },
+    credentials: ['paypal_client_id', 'paypal_client_secret'],
+    history_ms: 3 * 365 * 24 * 60 * 60 * 1000, // 3 years
   };
 }
 
@@ -194,7 +375,11 @@ function paypal_makeReportOfx(startDate, endDate=Date.now(), currency='USD', mod
 
 // Paypal report end date is INCLUSIVE with 1 SECOND precision.
 // This function expects the report interval to be specified in PayPal format.
-function paypal_getTransactions_(startDate, endDate, currency='USD') {
+// If excludePending, pending transactions are held back until they complete.
+// 'held' are the ones held back by earlier statements, to look up (see
+// paypal_applyStatus_()).
+function paypal_getTransactions_(startDate, endDate, currency='USD',
+  excludePending=true, held={}) {
   startDate = new Date(startDate).getTime();
   endDate = new Date(endDate).getTime();
 
@@ -207,6 +392,10 @@ function paypal_getTransactions_(startDate, endDate, currency='USD') {
     startDate: Number.MAX_SAFE_INTEGER,
     endDate: 0,
     balance: undefined,
+    openingBalance: undefined,
+    available: undefined,
+    withheld: undefined,
+    conversions: new Map(),
   };
   let results = [];
 
@@ -276,38 +465,36 @@ function paypal_getTransactions_(startDate, endDate, currency='USD') {
     startDate = chunkEndDate + 1000;
   } while (startDate <= endDate); // Exit loop if past the end of the report interval.
 
-  // Get balance as of the end date, save to output.
-  const url = main_buildUrl(PAYPAL_BASEURL + '/v1/reporting/balances', {
-    // Query parameters:
-    as_of_time: new Date(out.endDate).toISOString(),
-    currency_code: currency
-  });
-  const resp = paypal_http_fetch(url);
-
-  out.balance = Number(resp.json.balances[0].total_balance.value);
-
-  // Collapse all transactions into a flat array, instead of an array of arrays.
-  out.txns = results.flat();
+  // Get balances as of the start and end dates, save to output.
+  const closing = paypal_getBalance_(out.endDate, currency);
+  out.balance = closing.total;
+  out.available = closing.available;
+  out.withheld = closing.withheld;
+  out.openingBalance = paypal_getBalance_(out.startDate, currency).total;
+
+  // Collapse all transactions into a flat array, instead of an array of arrays,
+  // and sort out the ones that shouldn't be reported (yet).
+  const status = paypal_applyStatus_(
+    results.flat(), out.endDate, currency, excludePending, held
+  );
+  out.txns = status.txns;
+  out.held = status.held;
 
   // If there were no transactions in the reporting period, return early.
-  if (results.length == 0) {
+  if (out.txns.length == 0) {
     return out;
   }
 
-  // Sort txns in-place in ascending order, by updated date. Use initiation date
-  // if updated date is not present.
+  // Sort txns in-place in ascending order, by the date they changed the
+  // balance.
   out.txns.sort((a,b) => {
-    const ia = a.transaction_info;
-    const ib = b.transaction_info;
-    const ta = 
-      new Date(ia.transaction_updated_date ?? ia.transaction_initiation_date)
-        .getTime();
-    const tb = 
-      new Date(ib.transaction_updated_date ?? ib.transaction_initiation_date)
-        .getTime();
+    const ta = new Date(paypal_getDate_(a.transaction_info)).getTime();
+    const tb = new Date(paypal_getDate_(b.transaction_info)).getTime();
     return ta - tb;
   });
 
+  out.conversions = paypal_getConversions_(out.txns);
+
   for (txn of out.txns) {
     console.log(JSON.stringify(txn, null, 2));
   }
@@ -316,6 +503,229 @@ function paypal_getTransactions_(startDate, endDate, currency='USD') {
 }
 
 
+// Sorts out the given transactions by their status, and returns {txns, held}:
+// the ones to report, and the ones in the given currency to keep holding.
+//   S: completed. Reported.
+//   V: completed, then reversed. Reported, since it changed the balance when
+//      it was made. PayPal records the reversal as a transaction of its own.
+//   D: denied. Never changed the balance, so it's left out.
+//   P: pending. Reported if not excludePending. Otherwise it's left out, and
+//      held until it completes.
+// The given held transactions (see paypal_getHeld_()) that completed by
+// endDate (inclusive) are looked up and reported along with the rest, even if
+// they completed before the statement starts, so none are lost. One that
+// PayPal can't find anymore is alerted (see alert.js), since it'll never be
+// reported. Nothing is saved here, since the statement might never be
+// delivered.
+function paypal_applyStatus_(txns, endDate, currency, excludePending, held) {
+
+  // Held transactions that came back in this batch don't need looking up.
+  const seen = new Set(txns.map((t) => t.transaction_info.transaction_id));
+  const ids = Object.keys(held).filter((id) => !seen.has(id));
+
+  const out = [];
+  for (const txn of txns) {
+    const ti = txn.transaction_info;
+    if (ti.transaction_status === 'D') {
+      delete held[ti.transaction_id];
+    } else if (ti.transaction_status === 'P' && excludePending) {
+      held[ti.transaction_id] = {
+        date: ti.transaction_initiation_date,
+        currency: currency,
+      };
+    } else {
+      delete held[ti.transaction_id];
+      out.push(txn);
+    }
+  }
+
+  // Check up on the rest. Look for each one from the time it was made.
+  const resps = paypal_http_fetchAll(ids.map((id) => {
+    const date = new Date(held[id].date).getTime();
+    return {url: main_buildUrl(PAYPAL_BASEURL + '/v1/reporting/transactions', {
+      // Query parameters:
+      'start_date': new Date(date).toISOString(),
+      'end_date': new Date(
+        Math.max(Math.min(date + PAYPAL_MAX_INTERVAL_ms, endDate), date)
+      ).toISOString(),
+      'transaction_id': id,
+      'fields': 'transaction_info,payer_info',
+    })};
+  }));
+
+  for (const [i, id] of ids.entries()) {
+    const txn = (resps[i].json.transaction_details ?? [])
+      .find((t) => t.transaction_info.transaction_id === id);
+    const ti = txn?.transaction_info;
+    if (!ti) {
+      const e = new Error(`Held PayPal transaction ${id} from `
+        + `${held[id].date} wasn't found, so it was dropped from `
+        + `${profile_getKey(PAYPAL_HELD_KEY)} without being reported. Please `
+        + 'look it up in PayPal and add it to your books by hand.');
+      console.error(e.message);
+      alert_send(e);
+      delete held[id];
+      continue;
+    }
+    if (ti.transaction_status === 'P') {
+      continue;
+    }
+    if (ti.transaction_status !== 'D') {
+      const completed = new Date(
+        ti.transaction_updated_date ?? ti.transaction_initiation_date
+      ).getTime();
+      // Completed after this report, so save it for the report that covers it.
+      if (completed > endDate) {
+        continue;
+      }
+      // Anything that completed before this report started was still held
+      // when the last one was made, so it's reported here.
+      out.push(txn);
+    }
+    delete held[id];
+  }
+
+  return {txns: out, held: held};
+}
+
+
+// Returns the held transactions saved in script properties (see
+// PAYPAL_HELD_KEY), only the ones in the given currency if there is one.
+function paypal_getHeld_(currency=null) {
+  const ps = PropertiesService.getScriptProperties();
+  const held = JSON.parse(ps.getProperty(profile_getKey(PAYPAL_HELD_KEY)) ?? '{}');
+  return Object.fromEntries(Object.entries(held)
+    .filter(([id, txn]) => !currency || txn.currency === currency));
+}
+
+
+// Returns the date that a transaction changed the balance. That's when it was
+// last updated (ex: when a pending transaction completed), except for
+// reversed transactions, which were last updated when they were reversed.
+function paypal_getDate_(ti) {
+  return ti.transaction_status === 'V'
+    ? ti.transaction_initiation_date
+    : ti.transaction_updated_date ?? ti.transaction_initiation_date;
+}
+
+
+// PayPal records a currency conversion as a pair of transactions: one takes
+// the money out of the balance in one currency, the other adds it to the
+// balance in another, and both refer back to the transaction that needed the
+// conversion. Reports only ask for their own currency, so only one half of
+// each pair is in the given list of transactions. This looks up the other
+// halves, and returns a Map from the transaction ID of each conversion in the
+// list to: {
+//   from_amount, from_currency: amount and currency converted from
+//   to_amount, to_currency: amount and currency converted to
+//   rate: amount of to_currency that 1 from_currency converted to
+// }
+// Conversions whose other half can't be found are left out.
+function paypal_getConversions_(txns) {
+  const out = new Map();
+  const conversions = txns.map((t) => t.transaction_info)
+    .filter((ti) => paypal_isConversion_(ti.transaction_event_code));
+  if (conversions.length == 0) {
+    return out;
+  }
+
+  // The halves of a pair are recorded at the same time, so ask for the
+  // conversions in every currency around the time of each one. Conversions
+  // made at the same time share a request.
+  const urls = conversions.map((ti) => {
+    const date = new Date(ti.transaction_initiation_date).getTime();
+    return main_buildUrl(PAYPAL_BASEURL + '/v1/reporting/transactions', {
+      // Query parameters:
+      'start_date': new Date(date - PAYPAL_CONVERSION_WINDOW_ms).toISOString(),
+      'end_date': new Date(date + PAYPAL_CONVERSION_WINDOW_ms).toISOString(),
+      'transaction_type': ti.transaction_event_code,
+      'fields': 'transaction_info',
+    });
+  });
+  const unique = [...new Set(urls)];
+  const resps = paypal_http_fetchAll(unique.map((url) => ({url: url})));
+
+  for (const [i, ti] of conversions.entries()) {
+    const amount = Number(ti.transaction_amount.value);
+    const currency = ti.transaction_amount.currency_code;
+    const resp = resps[unique.indexOf(urls[i])];
+    const other = (resp.json.transaction_details ?? [])
+      .map((t) => t.transaction_info)
+      .find((o) => o.transaction_amount.currency_code !== currency
+        && Math.sign(Number(o.transaction_amount.value)) === -Math.sign(amount)
+        && o.paypal_reference_id === ti.paypal_reference_id);
+    if (!other) {
+      console.log(`Other half of currency conversion ${ti.transaction_id} `
+        + 'not found.');
+      continue;
+    }
+
+    const [from, to] = amount < 0 ? [ti, other] : [other, ti];
+    const fromAmount = Math.abs(Number(from.transaction_amount.value));
+    const toAmount = Math.abs(Number(to.transaction_amount.value));
+    out.set(ti.transaction_id, {
+      from_amount: from.transaction_amount.value.replace(/^-/, ''),
+      from_currency: from.transaction_amount.currency_code,
+      to_amount: to.transaction_amount.value.replace(/^-/, ''),
+      to_currency: to.transaction_amount.currency_code,
+      rate: Number((toAmount / fromAmount).toPrecision(6)),
+    });
+  }
+  return out;
+}
+
+
+// Returns the parts of the given transaction that 'itemized' mode splits out
+// of the payment, in the format accepted by main_itemize_(). PayPal gives the
+// parts as positive amounts, so they take the sign of the payment (or the
+// opposite sign, for discounts).
+function paypal_getParts_(ti, amountGross) {
+  const sign = amountGross < 0 ? -1 : 1;
+  const amount = (field) => sign * Math.abs(Number(ti[field]?.value ?? 0));
+  return [
+    {key: 'sales_tax', name: 'Sales tax', amount: amount('tax_amount')},
+    {key: 'shipping', name: 'Shipping', amount: amount('shipping_amount')},
+    {key: 'insurance', name: 'Insurance', amount: amount('insurance_amount')},
+    {key: 'discount', name: 'Discount', amount: -amount('discount_amount')},
+  ];
+}
+
+
+// Returns the account's balances in the given currency as of the given date:
+// {total, available, withheld}
+function paypal_getBalance_(date, currency) {
+  const url = main_buildUrl(PAYPAL_BASEURL + '/v1/reporting/balances', {
+    // Query parameters:
+    as_of_time: new Date(date).toISOString(),
+    currency_code: currency
+  });
+  const resp = paypal_http_fetch(url);
+
+  // Even though we asked for a specific currency, find the matching entry
+  // instead of trusting the order of the list. If the account doesn't hold
+  // the currency at all, its balances are zero.
+  const bal = (resp.json.balances ?? []).find(
+    (b) => b.currency.toUpperCase() === currency.toUpperCase());
+  return {
+    total: Number(bal?.total_balance?.value ?? 0),
+    available: Number(bal?.available_balance?.value ?? 0),
+    withheld: Number(bal?.withheld_balance?.value ?? 0),
+  };
+}
+
+
+// Currency conversions are in the T02xx group of event codes.
+function paypal_isConversion_(code) {
+  return code.substring(1,3) === '02';
+}
+
+
+// Reversals and refunds are in the T11xx group of event codes.
+function paypal_isReversal_(code) {
+  return code.substring(1,3) === '11';
+}
+
+
 function paypal_ofxTxnCode_(code, amount) {
   // 'T0400' -> group is '04'
   const group = code.substring(1,3);
@@ -324,6 +734,7 @@ function paypal_ofxTxnCode_(code, amount) {
       return 'PAYMENT';
     case '01': // non-payment-related fee
       return 'FEE';
+    case '02': // currency conversion
     case '03':
     case '04':
     case '17':
@@ -342,14 +753,17 @@ function paypal_ofxTxnTypeName_(code, amount) {
   switch(code) {
     case 'T0002': return 'recurring payment';
     case 'T0013': return 'donation payment';
+    case 'T1107': return 'refund';
   }
 
   const group = code.substring(1,3);
   switch(group) {
     case '00': return 'payment';
     case '01': return 'fee';
+    case '02': return 'currency conversion';
     case '03': return 'deposit from bank';
     case '04': return 'withdrawal to bank';
+    case '11': return 'reversal';
   }
 
   return (amount < 0.0)? 'account debit' : 'account credit';
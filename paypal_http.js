@@ -41,6 +41,7 @@ const paypal_defaultHeaders_ = {
 let paypal_accessToken_;
 let paypal_accessTokenExpires_;
 let paypal_secret_;
+let paypal_tokenProfile_; // profile the above belong to (see profile.js)
 
 
 
@@ -69,6 +70,7 @@ function paypal_http_fetch(url, options={}) {
   // If our access token has expired, refresh token and try once more.
   if (resp.getResponseCode() == 401) {
     paypal_http_guaranteeToken_(true);
+    options.headers.Authorization = paypal_defaultHeaders_.Authorization;
     resp = UrlFetchApp.fetch(url, options);
   }
 
@@ -76,8 +78,11 @@ function paypal_http_fetch(url, options={}) {
   const code = resp.getResponseCode();
   if (!muteRequested && code >= 400) {
     console.error(JSON.stringify(JSON.parse(resp.getContentText()), null, 2));
-    throw new Error(`HTTP request to ${url} `
-      + `failed with status code ${code}.`);
+    // Attach the details of the failure for alert emails (see alert.js).
+    throw Object.assign(
+      new Error(`HTTP request to ${url} failed with status code ${code}.`),
+      {url: url, status: code, body: resp.getContentText()}
+    );
   }
 
   // Try parsing to JSON.
@@ -105,13 +110,12 @@ function paypal_http_fetchAll(requests) {
     request.muteHttpExceptions = true;
 
     // Use internal defaults for contentType and headers, unless specifically
-    // passed in by user.
-    request.options.contentType =
-      request.options.contentType ?? paypal_defaultContentType_;
-    request.options.headers = request.options.headers ?? {};
+    // passed in by user. Note that fetchAll() takes the options as fields of
+    // each request object, alongside the url.
+    request.contentType = request.contentType ?? paypal_defaultContentType_;
+    request.headers = request.headers ?? {};
     for (const [header, defaultValue] of Object.entries(paypal_defaultHeaders_)) {
-      request.options.headers[header] =
-        request.options.headers[header] ?? defaultValue;
+      request.headers[header] = request.headers[header] ?? defaultValue;
     }
   }
 
@@ -131,9 +135,13 @@ function paypal_http_fetchAll(requests) {
   // requests from the failure onward over again.
   if (needsRefresh) {
     paypal_http_guaranteeToken_(true);
-    let new_resps = UrlFetchApp.fetchAll(requests.slice(i,requests.length));
+    const redo = requests.slice(startIndex, requests.length);
+    for (const request of redo) {
+      request.headers.Authorization = paypal_defaultHeaders_.Authorization;
+    }
+    let new_resps = UrlFetchApp.fetchAll(redo);
     // Replace the old responses that we redid with new ones.
-    resps.splice(i, new_resps.length, ...new_resps);
+    resps.splice(startIndex, new_resps.length, ...new_resps);
   }
 
   
@@ -151,8 +159,12 @@ function paypal_http_fetchAll(requests) {
     const code = resp.getResponseCode();
     if (!muteRequested && code >= 400) {
       console.error(JSON.stringify(resp.json, null, 2));
-      throw new Error(`HTTP request to ${requests[i].url} `
-        + `failed with status code ${code}.`);
+      // Attach the details of the failure for alert emails (see alert.js).
+      throw Object.assign(
+        new Error(`HTTP request to ${requests[i].url} `
+          + `failed with status code ${code}.`),
+        {url: requests[i].url, status: code, body: resp.getContentText()}
+      );
     }
   }
 
@@ -169,6 +181,7 @@ function paypal_http_fetchAll(requests) {
  *
  * PayPal uses the "client_credentials" flow from OAuth 2.0.
  * 
+ * 0) Forget the token in memory if it was for a different profile.
  * 1) Stop if token in memory and not being forced.
  * 2) Load client secret and any stored previous token from properties.
  * 3) Stop if valid token loaded from properties and not being forced.
@@ -179,23 +192,33 @@ function paypal_http_fetchAll(requests) {
  *   force: if true, ignore stored tokens and get a fresh one. Default: false
  */
 function paypal_http_guaranteeToken_(force = false) {
+  const profile = profile_getCurrent();
+  if (paypal_tokenProfile_ !== profile) {
+    paypal_secret_ = undefined;
+    paypal_accessToken_ = undefined;
+    paypal_accessTokenExpires_ = undefined;
+    paypal_tokenProfile_ = profile;
+  }
+
   if (!force && paypal_accessToken_) {
     return;
   }
 
   const ps = PropertiesService.getScriptProperties();
+  const key = (name) => profile_getKey(name, profile);
 
   if (!paypal_secret_) {
     // Get client ID, secret, and any stored access token from property storage.
     const props = ps.getProperties();
-    paypal_secret_ = props.paypal_client_id + ':' + props.paypal_client_secret;
+    paypal_secret_ = props[key('paypal_client_id')] + ':'
+      + props[key('paypal_client_secret')];
     paypal_secret_ = Utilities.base64Encode(paypal_secret_);
 
     // If there's a stored access token and we've still got at least an hour
     // before it's supposed to expire, use it.
-    paypal_accessToken_ = props.paypal_access_token;
+    paypal_accessToken_ = props[key('paypal_access_token')];
     paypal_accessTokenExpires_ =
-      new Date(props.paypal_access_token_expires ?? 0).getTime();
+      new Date(props[key('paypal_access_token_expires')] ?? 0).getTime();
     if (!force && paypal_accessToken_ && paypal_accessTokenExpires_>(Date.now()-PAYPAL_ONEHOUR_ms)) {
       paypal_defaultHeaders_['Authorization'] = 'Bearer ' + paypal_accessToken_;
       console.log('loaded access token from properties, expires '
@@ -221,8 +244,9 @@ function paypal_http_guaranteeToken_(force = false) {
   paypal_accessToken_ = data.access_token;
   paypal_accessTokenExpires_ = requestTime + data.expires_in * 1000;
   ps.setProperties({
-    paypal_access_token: paypal_accessToken_,
-    paypal_access_token_expires: new Date(paypal_accessTokenExpires_).toISOString(),
+    [key('paypal_access_token')]: paypal_accessToken_,
+    [key('paypal_access_token_expires')]:
+      new Date(paypal_accessTokenExpires_).toISOString(),
   })
 
   paypal_defaultHeaders_['Authorization'] = 'Bearer ' + paypal_accessToken_;
@@ -240,6 +264,6 @@ function paypal_http_reset() {
   paypal_accessTokenExpires_ = undefined;
 
   const ps = PropertiesService.getScriptProperties();
-  ps.deleteProperty('paypal_access_token');
-  ps.deleteProperty('paypal_access_token_expires');
+  ps.deleteProperty(profile_getKey('paypal_access_token'));
+  ps.deleteProperty(profile_getKey('paypal_access_token_expires'));
 }
\ No newline at end of file
@@ -0,0 +1,158 @@
+/* profile.js
+ *
+ * Lets one copy of the script report on several organizations, each with its
+ * own PayPal, Stripe and Square accounts, by giving each one a named profile.
+ *
+ * List the profiles in the following script property:
+ *   profiles
+ *
+ * A profile's settings are script properties whose names start with the
+ * profile name and a dot, ex. for a profile named 'acme':
+ *   acme.stripe_client_secret
+ *   acme.paypal_client_id
+ *   acme.paypal_client_secret
+ *   acme.email_recipients_list
+ *   acme.currency
+ *   acme.mode
+ *   acme.paypal_account_id
+ *
+ * Each source that a profile has credentials for is registered as a source of
+ * its own, keyed by the profile name, ex: acme.stripe. It has its own "since
+ * last" start date, run journal, closing balances, etc., all stored under the
+ * same prefix. Credentials, email recipients and stored state are never
+ * shared between profiles. Other settings, like the currency and mode, fall
+ * back to the unprefixed script property if the profile doesn't set its own.
+ *
+ * The unprefixed settings are still used for the default account, as before.
+ * doAllSinceLast() reports on the default account and every profile.
+ * Scheduled reports can name a profile's source by its key, ex:
+ * "acme.paypal: daily 06:00".
+ */
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+
+// Comma-separated list of profile names. Names can only contain letters,
+// digits, '_' and '-'. ex: "acme,helping-hands"
+// (OPTIONAL - defaults to none)
+const PROFILES_KEY = 'profiles';
+
+// Profile whose credentials the HTTP modules should use, or null for the
+// default account. Set by profile_run().
+let profile_current_ = null;
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Public functions.
+ */
+
+/* profile_list
+ *
+ * Returns the list of profile names from script properties, in lowercase.
+ */
+function profile_list() {
+  const ps = PropertiesService.getScriptProperties();
+
+  const names = main_parseList_(ps.getProperty(PROFILES_KEY) ?? '');
+  for (const name of names) {
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid profile name '${name}' in script property `
+        + `${PROFILES_KEY}. Names can only contain letters, digits, '_' `
+        + `and '-'.`);
+    }
+  }
+  return names.map((name) => name.toLowerCase());
+}
+
+
+/* profile_getSources
+ *
+ * Describes every profile's sources to the source registry (see sources.js).
+ *
+ * Parameters:
+ *   makeSources: function() that returns the list of sources for the current
+ *                profile. It's called once for each profile.
+ */
+function profile_getSources(makeSources) {
+  let out = [];
+  for (const profile of profile_list()) {
+    const prefix = profile + '.';
+    for (const base of profile_run(profile, makeSources)) {
+      out.push({
+        ...base,
+        key: prefix + base.key,
+        name: `${profile} ${base.name}`,
+        profile: profile,
+        makeReport: (...args) => profile_run(
+          profile, () => base.makeReport(...args)
+        ),
+        getCurrencies: () => profile_run(profile, () => base.getCurrencies()),
+        getStateProps: base.getStateProps && ((...args) => profile_run(
+          profile, () => base.getStateProps(...args)
+        )),
+        credentials: base.credentials.map((key) => prefix + key),
+      });
+    }
+  }
+  return out;
+}
+
+
+/* profile_run
+ *
+ * Runs the given function with the given profile's credentials, and returns
+ * whatever the function returns. Pass null for the default account.
+ */
+function profile_run(profile, fn) {
+  const previous = profile_current_;
+  profile_current_ = profile ?? null;
+  try {
+    return fn();
+  } finally {
+    profile_current_ = previous;
+  }
+}
+
+
+/* profile_getCurrent
+ *
+ * Returns the name of the profile whose credentials are in use, or null for
+ * the default account.
+ */
+function profile_getCurrent() {
+  return profile_current_;
+}
+
+
+/* profile_getKey
+ *
+ * Returns the name of the script property that holds the given setting for
+ * the given profile. Defaults to the profile whose credentials are in use.
+ *
+ * Use this for credentials and stored state, which must never be shared
+ * between profiles.
+ */
+function profile_getKey(key, profile=profile_current_) {
+  return profile ? `${profile}.${key}` : key;
+}
+
+
+/* profile_getSetting
+ *
+ * Returns the value of the given setting for the given profile, or the
+ * unprefixed setting if the profile doesn't set its own. Returns null if
+ * neither is set. Pass null for the default account.
+ */
+function profile_getSetting(key, profile=null) {
+  const ps = PropertiesService.getScriptProperties();
+  if (profile) {
+    const value = ps.getProperty(profile_getKey(key, profile));
+    if (value !== null) {
+      return value;
+    }
+  }
+  return ps.getProperty(key);
+}
@@ -0,0 +1,66 @@
+/* qif.js
+ *
+ * Contains helper functions for writing out statements as QIF (Quicken
+ * Interchange Format) files.
+ *
+ * QIF is much simpler than OFX. It has no concept of currencies, balances or
+ * unique transaction IDs, so the transaction ID is written into the check
+ * number field instead, and the balance is left out entirely.
+ */
+
+
+/* Returns a full QIF file as a string, built from the given statement.
+ *
+ * Dates are written in the given timezone, in the US format (MM/DD/YYYY)
+ * that most QIF importers expect.
+ *
+ * Parameters:
+ *   stmt: statement in the format accepted by ofx_makeStatement()
+ *   tz: timezone to write dates in. Default: the script's timezone
+ */
+function qif_makeStatement(stmt, tz=Session.getScriptTimeZone()) {
+  let ret = '!Type:Bank\n';
+
+  for (const txn of stmt.txns) {
+    ret += 'D' + Utilities.formatDate(new Date(txn.date), tz, 'MM/dd/yyyy') + '\n';
+    ret += 'T' + txn.amount.toFixed(2) + '\n';
+    ret += 'N' + qif_escape_(txn.id) + '\n';
+    if (txn.name) {
+      ret += 'P' + qif_escape_(txn.name) + '\n';
+    }
+    if (txn.memo) {
+      ret += 'M' + qif_escape_(txn.memo) + '\n';
+    }
+    ret += '^\n';
+  }
+
+  return ret;
+}
+
+
+/* Returns the given string as a binary blob with the correct MIME
+ * type for this QIF file. This blob can then be attached to an email,
+ * saved to drive, whatever.
+ *
+ * Parameters: {
+ *  str: string containing QIF file
+ *  name: name to give the blob for when it's saved as a file
+ * }
+ */
+function qif_makeBlob(str, name) {
+  if (!name.endsWith('.qif')) {
+    name += '.qif';
+  }
+  return Utilities.newBlob(str, 'application/qif', name);
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - */
+/* Helper functions. */
+
+/* Every QIF field must fit on a single line.
+ */
+function qif_escape_(str) {
+  return str.replace(/[\r\n]+/g, ' ');
+}
@@ -0,0 +1,331 @@
+/* rules.js
+ *
+ * Rewrites statement lines that match user-defined rules, so that payees
+ * show up in QuickBooks under one consistent name, with a tag that bank rules
+ * can categorize on, and with the right transaction type.
+ *
+ * Rules are checked in order, and the first rule that matches a transaction
+ * is applied to it. Each rule can:
+ *   - replace the NAME, using the same placeholders as templates (see
+ *     template.js), ex: "{payer_info.payer_name.alternate_full_name}"
+ *   - add a tag to the end of the MEMO, ex: "grant"
+ *   - replace the OFX transaction type (TRNTYPE), ex: "XFER"
+ *
+ * A rule matches when every one of its conditions does. Conditions match a
+ * field of the transaction (the same fields as templates) against a pattern:
+ * either text, which must equal the whole field (ignoring case), or a
+ * regular expression written between slashes, ex: "/^INV-\d+$/i" (the 'g'
+ * and 'y' flags aren't allowed). Rules can also be limited to a range of
+ * amounts (the amount on the statement line, inclusive), and to a source, by
+ * its registry key (see sources.js):
+ *   - 'stripe' or 'paypal' matches every source of that kind, including
+ *     Stripe Connect accounts and the sources of profiles
+ *   - any other key matches only that source, ex: "stripe_acct_1a2b3c" or
+ *     "acme.paypal"
+ * Rules for a source that isn't registered are rejected when they're read.
+ *
+ * Rules can be kept in either or both of these places. Rules from the script
+ * property are checked first.
+ *
+ *   The script property 'rules', as a JSON list, ex:
+ *     [{"rule": "Payouts", "source": "stripe",
+ *       "match": {"reporting_category": "payout"}, "type": "XFER"},
+ *      {"rule": "Foundation grants", "min_amount": 1000,
+ *       "match": {"payer_info.email_address": "/@example\\.org$/i"},
+ *       "name": "Example Foundation", "tag": "grant"}]
+ *
+ *   A sheet named 'Rules' in the spreadsheet whose ID is in the script
+ *   property 'rules_spreadsheet_id'. Each row below the header is a rule
+ *   with a single condition, in these columns:
+ *     Rule, Source, Field, Pattern, Min Amount, Max Amount, Name, Tag, Type
+ *   Blank cells are left out.
+ *
+ * Profiles can have their own rules (see profile.js). Rules apply to Stripe
+ * and PayPal statements. The report email lists which rule matched each
+ * transaction.
+ */
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+
+// JSON list of rules, see above.
+// (OPTIONAL - defaults to no rules)
+const RULES_KEY = 'rules';
+
+// ID of a Google Sheets spreadsheet with a 'Rules' sheet, see above.
+// (OPTIONAL - defaults to no spreadsheet)
+const RULES_SPREADSHEET_KEY = 'rules_spreadsheet_id';
+
+const RULES_SHEET = 'Rules';
+
+const RULES_COLUMNS = [
+  'Rule', 'Source', 'Field', 'Pattern', 'Min Amount', 'Max Amount', 'Name',
+  'Tag', 'Type'
+];
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Public functions.
+ */
+
+/* rules_get
+ *
+ * Reads and checks the rules for the given source from script properties and
+ * the rules spreadsheet, for the profile in use (see profile.js).
+ *
+ * Parameters:
+ *   sourceKey: registry key of the source, ex: 'acme.stripe' (see sources.js)
+ *   kind: key of the kind of source it is, ex: 'stripe'. Default: sourceKey
+ *
+ * Returns the list of rules that apply to the source, in order, or an empty
+ * list if there aren't any.
+ */
+function rules_get(sourceKey, kind=sourceKey) {
+  const profile = profile_getCurrent();
+
+  let rules = [];
+
+  const json = profile_getSetting(RULES_KEY, profile);
+  if (json) {
+    const where = `script property ${profile_getKey(RULES_KEY, profile)}`;
+    let list;
+    try {
+      list = JSON.parse(json);
+    } catch(e) {
+      throw new Error(`Can't read the rules in ${where}: ${e.message}`);
+    }
+    if (!Array.isArray(list)) {
+      throw new Error(`Can't read the rules in ${where}: it should be a `
+        + 'JSON list.');
+    }
+    for (const [i, item] of list.entries()) {
+      rules.push(rules_parse_(item, `rule #${i + 1} in ${where}`));
+    }
+  }
+
+  const id = profile_getSetting(RULES_SPREADSHEET_KEY, profile);
+  if (id) {
+    for (const [i, row] of rules_getRows_(id).entries()) {
+      // Skip blank rows.
+      if (row.every((cell) => String(cell).trim() === '')) {
+        continue;
+      }
+      const [rule, source, field, pattern, min, max, name, tag, type] = row
+        .map((cell) => String(cell).trim());
+      rules.push(rules_parse_({
+        rule: rule || undefined,
+        source: source || undefined,
+        match: field ? {[field]: pattern} : {},
+        min_amount: min === '' ? undefined : Number(min),
+        max_amount: max === '' ? undefined : Number(max),
+        name: name || undefined,
+        tag: tag || undefined,
+        type: type || undefined,
+      }, `row ${i + 2} of the ${RULES_SHEET} sheet`));
+    }
+  }
+
+  // A rule for a source that doesn't exist would silently never match.
+  if (rules.some((r) => r.source)) {
+    const keys = profile_run(null, source_getAll_).map((s) => s.key);
+    const unknown = rules.find((r) => r.source && !keys.includes(r.source));
+    if (unknown) {
+      throw new Error(`Rule '${unknown.rule}' is limited to source `
+        + `'${unknown.source}', which isn't registered. Registered sources `
+        + `are: ${keys.join(', ')}`);
+    }
+  }
+
+  return rules.filter(
+    (r) => !r.source || r.source === sourceKey || r.source === kind
+  );
+}
+
+
+/* rules_apply
+ *
+ * Applies the first of the given rules (as returned by rules_get()) that
+ * matches a statement line. The line's name, memo and type are changed in
+ * place.
+ *
+ * Parameters:
+ *   rules: list of rules to check
+ *   fields: the transaction's fields, as passed to template_apply()
+ *   line: statement line made from the transaction, in the format accepted
+ *         by ofx_makeStatement()
+ *
+ * Returns the name of the rule that matched, or null if none did.
+ */
+function rules_apply(rules, fields, line) {
+  const rule = rules.find((r) => rules_isMatch_(r, fields, line));
+  if (!rule) {
+    return null;
+  }
+
+  if (rule.name) {
+    line.name = template_render_(rule.name, fields, TEMPLATE_NAME_MAX_LENGTH);
+  }
+  if (rule.tag) {
+    // Cut the memo short if needed, so the tag always fits.
+    const suffix = (line.memo ? ' // ' : '') + rule.tag;
+    line.memo = (line.memo ?? '')
+      .slice(0, Math.max(TEMPLATE_MEMO_MAX_LENGTH - suffix.length, 0))
+      + suffix;
+  }
+  if (rule.type) {
+    line.type = rule.type;
+  }
+  return rule.rule;
+}
+
+
+/* rules_makeHtml
+ *
+ * Returns a section of the report email that lists which rule matched each
+ * transaction in the given reports, or '' if rules weren't applied to them.
+ */
+function rules_makeHtml(reports) {
+  const entries = reports.flatMap((res) => res.entries
+    .filter((e) => e.rule !== undefined)
+    .map((e) => ({...e, currency: res.currency})));
+  if (entries.length == 0) {
+    return '';
+  }
+
+  const tz = Session.getScriptTimeZone();
+  const locale = Session.getActiveUserLocale() || 'en-US';
+
+  let rows = '';
+  for (const e of entries) {
+    const money = new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: e.currency,
+    });
+    rows += `
+  <tr><td>${Utilities.formatDate(new Date(e.date), tz, 'yyyy-MM-dd')}</td>`
+      + `<td>${main_escapeHtml_(e.name)}</td><td>${money.format(e.net)}</td>`
+      + `<td>${e.rule === null ? 'none' : main_escapeHtml_(e.rule)}</td></tr>`;
+  }
+
+  const matched = entries.filter((e) => e.rule !== null).length;
+  return `
+<p>Rules matched ${matched} of ${entries.length} transaction(s):
+<table>
+  <tr><th>Date</th><th>Name</th><th>Net</th><th>Rule</th></tr>${rows}
+</table>
+`;
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Internal helper functions.
+ */
+
+// Checks a rule as written by the user, and returns it in the form used by
+// rules_apply(). 'where' describes where the rule came from, for errors.
+function rules_parse_(item, where) {
+  const fail = (msg) => {
+    throw new Error(`Can't read ${where}: ${msg}`);
+  };
+
+  if (typeof item != 'object' || item === null || Array.isArray(item)) {
+    fail('it should be a JSON object.');
+  }
+
+  const conditions = [];
+  for (const [path, pattern] of Object.entries(item.match ?? {})) {
+    if (!/^[\w.]+$/.test(path)) {
+      fail(`'${path}' isn't a valid field.`);
+    }
+    const str = String(pattern ?? '');
+    const regex = /^\/(.*)\/([a-z]*)$/.exec(str);
+    let test;
+    if (regex) {
+      // These flags make test() carry on from where the last match ended,
+      // so the same rule would match one transaction but not the next.
+      if (/[gy]/.test(regex[2])) {
+        fail(`'${str}' can't use the 'g' or 'y' flags.`);
+      }
+      let re;
+      try {
+        re = new RegExp(regex[1], regex[2]);
+      } catch(e) {
+        fail(`'${str}' isn't a valid regular expression.`);
+      }
+      test = (value) => re.test(value);
+    } else {
+      test = (value) => value.toLowerCase() === str.trim().toLowerCase();
+    }
+    conditions.push({path: path, test: test});
+  }
+
+  for (const field of ['min_amount', 'max_amount']) {
+    if (item[field] !== undefined && isNaN(Number(item[field]))) {
+      fail(`${field} '${item[field]}' isn't a number.`);
+    }
+  }
+
+  const type = item.type ? String(item.type).trim().toUpperCase() : null;
+  if (type && !ofx_TXN_TYPES.has(type)) {
+    fail(`'${item.type}' isn't an OFX transaction type. Valid types are: `
+      + [...ofx_TXN_TYPES].join(', '));
+  }
+
+  let name = null;
+  if (item.name) {
+    try {
+      name = template_parse_(String(item.name));
+    } catch(e) {
+      fail(`can't read name: ${e.message}`);
+    }
+  }
+
+  if (!name && !item.tag && !type) {
+    fail('it should set at least one of name, tag or type.');
+  }
+
+  return {
+    rule: String(item.rule ?? where),
+    source: item.source ? String(item.source).trim().toLowerCase() : null,
+    conditions: conditions,
+    minAmount: item.min_amount === undefined ? null : Number(item.min_amount),
+    maxAmount: item.max_amount === undefined ? null : Number(item.max_amount),
+    name: name,
+    tag: item.tag ? String(item.tag).trim() : null,
+    type: type,
+  };
+}
+
+
+function rules_isMatch_(rule, fields, line) {
+  if (rule.minAmount !== null && line.amount < rule.minAmount) {
+    return false;
+  }
+  if (rule.maxAmount !== null && line.amount > rule.maxAmount) {
+    return false;
+  }
+  return rule.conditions.every(
+    (c) => c.test(template_getField_(fields, [c.path]))
+  );
+}
+
+
+// Returns every row below the header row of the rules sheet.
+function rules_getRows_(id) {
+  const sheet = SpreadsheetApp.openById(id).getSheetByName(RULES_SHEET);
+  if (!sheet) {
+    throw new Error(`Rules sheet missing. Please add a sheet named `
+      + `'${RULES_SHEET}' to the spreadsheet in script property `
+      + `${RULES_SPREADSHEET_KEY}, with the columns: `
+      + RULES_COLUMNS.join(', '));
+  }
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return [];
+  }
+  return sheet.getRange(2, 1, lastRow - 1, RULES_COLUMNS.length).getValues();
+}
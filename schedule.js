@@ -0,0 +1,322 @@
+/* schedule.js
+ *
+ * Creates the time-based triggers that run the scheduled reports, from a
+ * schedule kept in script properties, so that setting up a new copy of the
+ * script doesn't require clicking through the Apps Script triggers page.
+ *
+ * The schedule is a comma-separated list of "<source>: <when>" entries, ex:
+ *   stripe: weekly Monday 07:00, paypal: daily 06:00
+ *
+ * <source> is the key of a registered source (see sources.js), ex: paypal or
+ * acme.paypal for a profile's PayPal account (see profile.js), or 'all' to
+ * run doAllSinceLast(). <when> is one of:
+ *   daily HH:MM
+ *   weekly <day of week> HH:MM
+ *   monthly <day of month> HH:MM
+ *   every <N> hours        (N is 1, 2, 4, 6, 8 or 12)
+ *
+ * Times are in the script's timezone. Apps Script runs each trigger at some
+ * point within 15 minutes of the requested time.
+ *
+ * After changing the schedule, run installSchedule() to replace the old
+ * triggers with new ones.
+ */
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+
+// Comma-separated list of "<source>: <when>" entries, see above.
+// (REQUIRED to use installSchedule)
+const SCHEDULE_KEY = 'schedule';
+
+// Maps the unique ID of each installed trigger to the schedule entry it was
+// made for.
+// (AUTO-GENERATED)
+const SCHEDULE_TRIGGERS_KEY = 'schedule_triggers';
+
+const SCHEDULE_HANDLER = 'doScheduledReport';
+
+// Entry points that people used to set up triggers for by hand. Installing a
+// schedule for a source replaces these triggers, so the source doesn't get
+// reported twice.
+const SCHEDULE_LEGACY_HANDLERS = {
+  all: 'doAllSinceLast',
+  paypal: 'doPaypalSinceLast',
+  stripe: 'doStripeSinceLast',
+  square: 'doSquareSinceLast',
+};
+
+const SCHEDULE_WEEKDAYS = [
+  'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'
+];
+
+// Hour intervals that Apps Script accepts for everyHours().
+const SCHEDULE_HOUR_INTERVALS = [1, 2, 4, 6, 8, 12];
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Entry points.
+ */
+
+/* installSchedule()
+ *
+ * Replaces the report triggers with new ones made from the schedule in script
+ * properties, then logs the new schedule.
+ *
+ * The whole schedule is checked before anything is changed, so a typo leaves
+ * the old triggers in place. The new triggers are made before the old ones are
+ * deleted too, so if Apps Script won't make one of them (ex: too many
+ * triggers), the old schedule is kept.
+ */
+function installSchedule() {
+  const ps = PropertiesService.getScriptProperties();
+
+  const entries = schedule_parse_(ps.getProperty(SCHEDULE_KEY) ?? '');
+  if (entries.length == 0) {
+    throw new Error(
+      'Schedule missing. Please set the script property ' + SCHEDULE_KEY
+      + ' to a comma-separated list like "stripe: weekly Monday 07:00, '
+      + 'paypal: daily 06:00".'
+    );
+  }
+
+  const tz = Session.getScriptTimeZone();
+
+  const installed = {};
+  try {
+    for (const entry of entries) {
+      const trigger = schedule_makeTrigger_(entry, tz);
+      installed[trigger.getUniqueId()] = {
+        source: entry.key,
+        schedule: entry.text,
+      };
+    }
+  } catch(e) {
+    schedule_deleteTriggers_((t) => t.getUniqueId() in installed);
+    throw e;
+  }
+
+  const replaced = new Set(entries.map((e) => SCHEDULE_LEGACY_HANDLERS[e.key]));
+  schedule_deleteTriggers_((t) => !(t.getUniqueId() in installed)
+    && (t.getHandlerFunction() == SCHEDULE_HANDLER
+      || replaced.has(t.getHandlerFunction())));
+  ps.setProperty(SCHEDULE_TRIGGERS_KEY, JSON.stringify(installed));
+
+  return showSchedule();
+}
+
+
+/* uninstallSchedule()
+ *
+ * Deletes every trigger made by installSchedule(). Triggers made by hand are
+ * left alone.
+ */
+function uninstallSchedule() {
+  const ps = PropertiesService.getScriptProperties();
+
+  const count = schedule_deleteTriggers_(
+    (t) => t.getHandlerFunction() == SCHEDULE_HANDLER
+  );
+  ps.deleteProperty(SCHEDULE_TRIGGERS_KEY);
+
+  console.log(`Deleted ${count} scheduled report trigger(s).`);
+}
+
+
+/* showSchedule()
+ *
+ * Logs every installed report trigger, including ones made by hand for the
+ * older entry points, and returns the list of them: {
+ *   id: trigger's unique ID
+ *   handler: function the trigger runs
+ *   source: key of the source it reports on, or 'all'
+ *   schedule: when it runs, as written in the schedule. Empty for triggers
+ *             made by hand.
+ * }
+ */
+function showSchedule() {
+  const ps = PropertiesService.getScriptProperties();
+
+  const installed = JSON.parse(ps.getProperty(SCHEDULE_TRIGGERS_KEY) ?? '{}');
+  const legacy = Object.entries(SCHEDULE_LEGACY_HANDLERS);
+
+  let out = [];
+  for (const trigger of ScriptApp.getProjectTriggers()) {
+    const id = trigger.getUniqueId();
+    const handler = trigger.getHandlerFunction();
+    if (handler == SCHEDULE_HANDLER) {
+      out.push({
+        id: id,
+        handler: handler,
+        source: installed[id]?.source ?? null,
+        schedule: installed[id]?.schedule ?? '',
+      });
+    } else {
+      const match = legacy.find(([key, name]) => name == handler);
+      if (match) {
+        out.push({id: id, handler: handler, source: match[0], schedule: ''});
+      }
+    }
+  }
+
+  for (const t of out) {
+    console.log(`${t.source ?? 'unknown source'}: `
+      + `${t.schedule || 'set up by hand'} (runs ${t.handler}, trigger ${t.id})`);
+  }
+  console.log(`Found ${out.length} report trigger(s).`);
+
+  return out;
+}
+
+
+/* doScheduledReport(e)
+ *
+ * Runs the report for the schedule entry that the calling trigger was
+ * installed for. Only meant to be called by triggers made by
+ * installSchedule().
+ */
+function doScheduledReport(e) {
+  const ps = PropertiesService.getScriptProperties();
+
+  const installed = JSON.parse(ps.getProperty(SCHEDULE_TRIGGERS_KEY) ?? '{}');
+  const entry = installed[e?.triggerUid];
+  if (!entry) {
+    throw new Error(`Trigger ${e?.triggerUid} isn't in the installed `
+      + 'schedule. Please run installSchedule() again.');
+  }
+
+  if (entry.source == 'all') {
+    doAllSinceLast();
+  } else {
+    alert_guard(entry.source, () => main_doSinceLast_(entry.source));
+  }
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Helper functions.
+ */
+
+// Parses the schedule from script properties into a list of: {
+//   key: key of the source, or 'all'
+//   text: the entry's schedule, as written
+//   kind: 'daily', 'weekly', 'monthly' or 'hourly'
+//   hour, minute: time of day to run (not for 'hourly')
+//   weekDay: name of the day of the week to run, ex: 'MONDAY' ('weekly' only)
+//   monthDay: day of the month to run ('monthly' only)
+//   hours: hours between runs ('hourly' only)
+// }
+function schedule_parse_(str) {
+  let out = [];
+  for (const item of main_parseList_(str)) {
+    const match = /^([\w.-]+)\s*:\s*(.+)$/.exec(item);
+    if (!match) {
+      throw new Error(`Can't read schedule entry '${item}', it should look `
+        + 'like "stripe: daily 06:00".');
+    }
+
+    const key = match[1].toLowerCase();
+    if (key != 'all') {
+      source_get_(key); // throws if there's no such source
+    }
+
+    out.push({key: key, text: match[2].trim(), ...schedule_parseWhen_(match[2])});
+  }
+  return out;
+}
+
+
+function schedule_parseWhen_(str) {
+  const when = str.trim().toLowerCase().split(/\s+/);
+
+  const parseTime = (time) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time ?? '');
+    const hour = parseInt(match?.[1]);
+    const minute = parseInt(match?.[2]);
+    if (!match || hour > 23 || minute > 59) {
+      throw new Error(`Can't read time '${time}' in schedule '${str}', it `
+        + 'should look like 06:00.');
+    }
+    return {hour: hour, minute: minute};
+  };
+
+  switch(when[0]) {
+    case 'daily':
+      if (when.length == 2) {
+        return {kind: 'daily', ...parseTime(when[1])};
+      }
+      break;
+
+    case 'weekly': {
+      const weekDay = when[1]?.toUpperCase();
+      if (when.length == 3 && SCHEDULE_WEEKDAYS.includes(weekDay)) {
+        return {kind: 'weekly', weekDay: weekDay, ...parseTime(when[2])};
+      }
+      break;
+    }
+
+    case 'monthly': {
+      const monthDay = parseInt(when[1]);
+      if (when.length == 3 && /^\d+$/.test(when[1])
+          && monthDay >= 1 && monthDay <= 31) {
+        return {kind: 'monthly', monthDay: monthDay, ...parseTime(when[2])};
+      }
+      break;
+    }
+
+    case 'every': {
+      const hours = parseInt(when[1]);
+      if (when.length == 3 && /^hours?$/.test(when[2])
+          && SCHEDULE_HOUR_INTERVALS.includes(hours)) {
+        return {kind: 'hourly', hours: hours};
+      }
+      break;
+    }
+  }
+
+  throw new Error(`Can't read schedule '${str}'. Use "daily 06:00", `
+    + '"weekly Monday 07:00", "monthly 1 07:00" or "every 6 hours" '
+    + `(hours can be ${SCHEDULE_HOUR_INTERVALS.join(', ')}).`);
+}
+
+
+// Creates the time-based trigger for the given schedule entry, and returns it.
+function schedule_makeTrigger_(entry, tz) {
+  let builder = ScriptApp.newTrigger(SCHEDULE_HANDLER).timeBased();
+  switch(entry.kind) {
+    case 'daily':
+      builder = builder.everyDays(1);
+      break;
+    case 'weekly':
+      builder = builder.onWeekDay(ScriptApp.WeekDay[entry.weekDay]);
+      break;
+    case 'monthly':
+      builder = builder.onMonthDay(entry.monthDay);
+      break;
+    case 'hourly':
+      builder = builder.everyHours(entry.hours);
+      break;
+  }
+  if (entry.kind != 'hourly') {
+    builder = builder.atHour(entry.hour).nearMinute(entry.minute);
+  }
+  return builder.inTimezone(tz).create();
+}
+
+
+// Deletes every project trigger that the given function returns true for,
+// and returns how many were deleted.
+function schedule_deleteTriggers_(filter) {
+  let count = 0;
+  for (const trigger of ScriptApp.getProjectTriggers()) {
+    if (filter(trigger)) {
+      ScriptApp.deleteTrigger(trigger);
+      count++;
+    }
+  }
+  return count;
+}
@@ -0,0 +1,116 @@
+/* sources.js
+ *
+ * Registry of every source that Statement Manager can produce statements for.
+ *
+ * Each source module describes itself with a <module>_source() function that
+ * returns an object like this:
+ *
+ *   {
+ *     key: lowercase ID, used to prefix the source's script properties
+ *     name: pretty name, used in file names and emails
+ *     makeReport: function(startDate, endDate, currency, mode, holdPending)
+ *                 that returns a report, or null if no data is available
+ *                 yet. holdPending is only true for statements whose
+ *                 getStateProps() are saved once they're delivered, so the
+ *                 source can hold transactions back for a later statement.
+ *     getCurrencies: function() that returns a list of the currency codes
+ *                    held by the account
+ *     dataDelay_ms: longest time it can take for a new transaction to be
+ *                   published by the source
+ *     url: link to the source's dashboard
+ *     colors: {
+ *       primary: color used for the email heading and border
+ *       secondary: color used for lines between table rows in the email
+ *     }
+ *     credentials: list of script properties that must be set before the
+ *                  source can be used
+ *     history_ms: (optional) how far back the source keeps transaction data.
+ *                 Omit it if the source keeps data forever.
+ *     getStateProps: (optional) function(reports) that returns other script
+ *                    properties to save once the given reports have been
+ *                    delivered, ex: transactions held back for later
+ *     profile: (set by the registry) name of the profile the source belongs
+ *              to, or undefined for the default account (see profile.js)
+ *   }
+ *
+ * To add a new source, write a module with a <module>_source() function and
+ * add it to the list in source_getAll_() below. The entry points in main.js
+ * pick it up from there.
+ *
+ * A module can also register several sources of the same kind, one per
+ * account (see stripe_connectedSources()).
+ *
+ * Every source is registered once for the default account, and again for
+ * each profile that's set up (see profile.js).
+ */
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+
+const SOURCE_REQUIRED_FIELDS = [
+  'key', 'name', 'makeReport', 'getCurrencies', 'dataDelay_ms', 'url',
+  'colors', 'credentials'
+];
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Helper functions.
+ */
+
+// Returns the list of all registered sources.
+function source_getAll_() {
+  const sources = [
+    ...source_getAccountSources_(),
+    ...profile_getSources(source_getAccountSources_),
+  ];
+
+  for (const source of sources) {
+    for (const field of SOURCE_REQUIRED_FIELDS) {
+      if (source[field] === undefined) {
+        throw new Error(`Source '${source.name ?? source.key}' is missing `
+          + `required field '${field}'.`);
+      }
+    }
+  }
+
+  return sources;
+}
+
+
+// Returns the sources for a single account: either the default account, or
+// the profile in use (see profile_run()).
+function source_getAccountSources_() {
+  return [
+    paypal_source(),
+    stripe_source(),
+    square_source(),
+    ...stripe_connectedSources(),
+  ];
+}
+
+
+// Returns the registered source with the given name or key (case
+// insensitive).
+function source_get_(name) {
+  const key = name.toLowerCase();
+  const sources = source_getAll_();
+
+  const source = sources.find(
+    (s) => s.key === key || s.name.toLowerCase() === key
+  );
+  if (!source) {
+    throw new Error(`Unknown source '${name}'. Registered sources are: `
+      + sources.map((s) => s.name).join(', '));
+  }
+  return source;
+}
+
+
+// Returns a list of the given source's required credentials that are missing
+// from the given script properties object.
+function source_getMissingCredentials_(source, props) {
+  return source.credentials.filter((key) => !props[key]);
+}
@@ -0,0 +1,516 @@
+/* square.js
+ *
+ * Get payments, refunds, fees and payouts over Square's REST API, then
+ * translate them into OFX.
+ *
+ * Requires the following script properties to be set manually in your
+ * Google script settings:
+ *   square_access_token
+ *
+ * You can get a production access token for your Square account by making a
+ * new application here:
+ * https://developer.squareup.com/apps
+ *
+ * This code only requires the following read permissions:
+ *   - MERCHANT_PROFILE_READ
+ *   - PAYMENTS_READ
+ *   - PAYOUTS_READ
+ *
+ * Square doesn't offer an API to read the account balance directly. Square
+ * sweeps the account balance out to the linked bank account with every
+ * payout, so this module computes the balance as the net amount of all
+ * payments and refunds made since the last payout. If your Square account
+ * has automatic transfers disabled, the reported balance will be incorrect.
+ *
+ * A payout isn't always the net amount of the payments since the previous one
+ * (ex: fees held back, instant transfers), so that's only an estimate. The
+ * opening balance isn't reported, and the balance isn't checked against the
+ * transactions (see continuity.js).
+ */
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+
+const SQUARE_RESPONSE_SIZE = 100;
+
+const SQUARE_BASEURL = 'https://connect.squareup.com';
+//const SQUARE_BASEURL = 'https://connect.squareupsandbox.com'; //for debugging only
+
+const SQUARE_ONEYEAR_ms = 365 * 24 * 60 * 60 * 1000;
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Public Functions.
+ */
+
+/* square_makeReportOfx
+ *
+ * Produce a Square bank statement containing all balance-affecting transacions
+ * over the given time interval.
+ *
+ * Each report covers a single currency. Use square_getCurrencies() to find
+ * every currency that the account holds, and make one report for each.
+ *
+ * Parameters:
+ *   startDate: datetime where the report begins (inclusive).
+ *   endDate: datetime where the report ends (exclusive). Default: current time
+ *   currency: only report txns & balances done in this currency. Default: USD
+ *   mode: 'gross', 'net' or 'itemized' (default is 'net')
+ *     gross: gross payment amount and total fees are reported as two separate transactions.
+ *     net: the net amount of the payment (gross - fees) is reported as one transaction.
+ *     itemized: same as gross, Square's payments aren't broken down any further.
+ *
+ * Returns: {
+ *   reportDate: data current as of this date
+ *   startDate: report start date (adjusted for data availability)
+ *   endDate: report end date (adjusted for data availability)
+ *   currency: currency that this report covers
+ *   balance: balance as of the report end date
+ *   balanceIsEstimate: true, since Square doesn't report its balance
+ *   openingBalance: balance as of the report start date, or null if the
+ *                   source can't report it (always null for Square)
+ *   availableBalance: funds available to pay out, or null if unknown
+ *   availableBalanceDate: datetime that availableBalance was current as of
+ *   pendingBalance: funds that aren't available to pay out yet, or null if
+ *                   unknown
+ *   withheldBalance: funds held back by the source, or null if unknown
+ *   numTxns: number of transactions that occurred in the report interval
+ *   bankId: bank ID to use in the OFX header
+ *   acctId: account ID to use in the OFX header
+ *   txns: list of statement lines, in the format accepted by ofx_makeStatement()
+ *   entries: list of transactions, one per transaction regardless of mode: {
+ *     date, type, id, name, memo: same as the transaction's main statement line
+ *     gross: gross amount
+ *     fee: fee amount (negative if the fee was charged to the account)
+ *     net: net amount (gross + fee)
+ *     category: category of the transaction, as named by the source
+ *   }
+ *   ofx: a string representing the full report, formatted as OFX data.
+ * }
+ *
+ * Returns 'null' if the start date is in the future. Square publishes
+ * transactions immediately, so there's no other publishing delay.
+ */
+function square_makeReportOfx(startDate, endDate=Date.now(), currency='USD', mode='net') {
+
+  const isNet = mode === 'net';
+
+  currency = currency.toUpperCase();
+
+  const res = square_getTransactions_(startDate, endDate, currency);
+
+  // If the start date was so new that there's no data available, pass the
+  // null back to this function's caller as well.
+  if (!res) {
+    return res;
+  }
+
+  const txns = [];
+  const entries = [];
+
+  /*
+    Format conversions for Square objects:
+
+    Datetime: uses RFC 3339 strings, which are parseable by Javascript.
+
+    Amount: uses the smallest unit of the currency (e.g., number of cents),
+            must convert to get the number of dollars (see square_amount_).
+  */
+
+  for (const txn of res.txns) {
+    const amountGross = square_amount_(txn.gross, currency);
+    const amountFee = square_amount_(txn.fee, currency);
+    const amountNet = amountGross - amountFee;
+
+    const line = {
+      type: square_ofxTxnCode_(txn.kind, amountGross),
+      date: txn.date,
+      amount: isNet? amountNet : amountGross,
+      id: txn.id,
+      name: txn.name,
+      memo: txn.memo.join(' // '),
+    };
+    txns.push(line);
+
+    entries.push({
+      date: line.date,
+      type: line.type,
+      gross: amountGross,
+      fee: -amountFee,
+      net: amountNet,
+      id: line.id,
+      name: line.name,
+      memo: line.memo,
+      category: txn.kind,
+    });
+
+    if (!isNet && amountFee != 0) {
+      txns.push({
+        type: "FEE",
+        date: txn.date,
+        amount: -amountFee,
+        id: txn.id + '-1',
+        name: 'Square processing fees',
+        memo: 'for:' + txn.id,
+      });
+    }
+  }
+
+  const out = {
+    reportDate: res.reportDate,
+    startDate: res.startDate,
+    endDate: res.endDate,
+    currency: currency,
+    balance: res.balance,
+    balanceIsEstimate: true,
+    openingBalance: null,
+    // Square doesn't break the balance down.
+    availableBalance: null,
+    availableBalanceDate: null,
+    pendingBalance: null,
+    withheldBalance: null,
+    numTxns: res.txns.length,
+    bankId: "Square",
+    acctId: res.accountId,
+    txns: txns,
+    entries: entries,
+  };
+  out.ofx = ofx_makeStatement(out);
+
+  return out;
+}
+
+
+/* square_getCurrencies
+ *
+ * Returns a sorted list of the three letter ISO codes (uppercase) of every
+ * currency used by the Square account's active locations.
+ */
+function square_getCurrencies() {
+  const currencies = new Set();
+  for (const loc of square_getLocations_()) {
+    currencies.add(loc.currency.toUpperCase());
+  }
+
+  console.log('Currencies held: ' + [...currencies].join(', '));
+
+  return [...currencies].sort();
+}
+
+
+/* square_source
+ *
+ * Describes this module to the source registry (see sources.js).
+ */
+function square_source() {
+  return {
+    key: 'square',
+    name: 'Square',
+    makeReport: square_makeReportOfx,
+    getCurrencies: square_getCurrencies,
+    dataDelay_ms: 0, // published immediately
+    url: 'https://app.squareup.com/dashboard',
+    colors: {
+      primary: '#006AFF',
+      secondary: '#000000',
+    },
+    credentials: [SQUARE_TOKEN_key],
+  };
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Internal helper functions.
+ */
+
+/* Pulls all payments, refunds and payouts over the given interval for every
+ * location that does business in the given currency, and flattens them into
+ * a common format:
+ *
+ *   {
+ *     kind: 'payment', 'refund' or 'payout'
+ *     date: datetime the transaction was created
+ *     id: unique ID of the transaction
+ *     gross: signed gross amount, in the smallest unit of the currency
+ *     fee: processing fee charged by Square, in the smallest unit of the currency
+ *     name: name of payee or txn description
+ *     memo: list of strings containing additional info
+ *   }
+ */
+function square_getTransactions_(startDate, endDate, currency='USD') {
+  startDate = new Date(startDate).getTime();
+  endDate = new Date(endDate).getTime();
+
+  if (startDate > endDate) {
+    throw new Error('invalid dates, startDate is later than endDate.');
+  }
+
+  // Square publishes transactions immediately, so data is available right up
+  // to the current time.
+  const now = Date.now();
+  if (startDate >= now) {
+    return null; // indicates to caller that no data is available yet
+  }
+
+  // Clamp report date range to available interval.
+  endDate = Math.min(endDate, now);
+
+  const locations = square_getLocations_().filter(
+    (loc) => loc.currency.toUpperCase() === currency);
+
+  const out = {
+    startDate: startDate,
+    endDate: endDate,
+    reportDate: now,
+    accountId: locations.length > 0 ? locations[0].merchant_id : 'squareup.com',
+    balance: 0,
+    txns: [],
+  };
+
+  for (const loc of locations) {
+    const interval = {
+      begin_time: new Date(startDate).toISOString(), //inclusive (>=)
+      end_time: new Date(endDate).toISOString(), //exclusive (<)
+      location_id: loc.id,
+    };
+
+    for (const p of square_listPayments_(interval, currency)) {
+      out.txns.push(square_txnFromPayment_(p));
+    }
+
+    for (const r of square_listRefunds_(interval, currency)) {
+      out.txns.push(square_txnFromRefund_(r));
+    }
+
+    for (const po of square_listPayouts_(interval, currency)) {
+      out.txns.push(square_txnFromPayout_(po));
+    }
+
+    out.balance += square_getBalance_(loc, endDate, currency);
+  }
+
+  // Sort in-place in ascending order, by creation date.
+  out.txns.sort((a,b) => new Date(a.date).getTime() - new Date(b.date).getTime());
+
+  for (const txn of out.txns) {
+    console.log(JSON.stringify(txn, null, 2));
+  }
+
+  out.balance = square_amount_(out.balance, currency);
+
+  return out;
+}
+
+
+// Square doesn't report the account balance, so estimate it as the net amount
+// of all payments and refunds made at the given location after the last payout
+// that was created before the given date. Returned balance is in the smallest
+// unit of the currency.
+function square_getBalance_(location, date, currency) {
+  const lastPayout = square_listAll_('/v2/payouts', 'payouts', {
+    location_id: location.id,
+    end_time: new Date(date).toISOString(),
+    sort_order: 'DESC',
+  }, 1)[0];
+
+  // If there's never been a payout, only look back one year. That's the
+  // furthest back that Square will search by default.
+  const sinceDate = lastPayout
+    ? new Date(lastPayout.created_at).getTime()
+    : new Date(date).getTime() - SQUARE_ONEYEAR_ms;
+
+  const interval = {
+    begin_time: new Date(sinceDate).toISOString(),
+    end_time: new Date(date).toISOString(),
+    location_id: location.id,
+  };
+
+  let balance = 0;
+  for (const p of square_listPayments_(interval, currency)) {
+    const txn = square_txnFromPayment_(p);
+    balance += txn.gross - txn.fee;
+  }
+  for (const r of square_listRefunds_(interval, currency)) {
+    const txn = square_txnFromRefund_(r);
+    balance += txn.gross - txn.fee;
+  }
+
+  console.log(`Balance of location ${location.id} as of ${new Date(date)}: `
+    + balance);
+
+  return balance;
+}
+
+
+// Returns a list of the seller's active locations.
+function square_getLocations_() {
+  const resp = square_http_fetch(SQUARE_BASEURL + '/v2/locations');
+  return (resp.json.locations ?? []).filter((loc) => loc.status === 'ACTIVE');
+}
+
+
+// Only completed payments affect the balance.
+function square_listPayments_(interval, currency) {
+  return square_listAll_('/v2/payments', 'payments', {
+    ...interval,
+    sort_order: 'ASC',
+  }).filter((p) => p.status === 'COMPLETED'
+    && p.total_money.currency.toUpperCase() === currency);
+}
+
+
+// Only completed refunds affect the balance.
+function square_listRefunds_(interval, currency) {
+  return square_listAll_('/v2/refunds', 'refunds', {
+    ...interval,
+    sort_order: 'ASC',
+  }).filter((r) => r.status === 'COMPLETED'
+    && r.amount_money.currency.toUpperCase() === currency);
+}
+
+
+// Failed payouts don't affect the balance.
+function square_listPayouts_(interval, currency) {
+  return square_listAll_('/v2/payouts', 'payouts', {
+    ...interval,
+    sort_order: 'ASC',
+  }).filter((po) => po.status !== 'FAILED'
+    && po.amount_money.currency.toUpperCase() === currency);
+}
+
+
+// Request every page of a Square list endpoint, returns the flattened list of
+// objects stored under 'key' in each response. If 'max' is given, stops after
+// at least that many objects have been retrieved.
+function square_listAll_(path, key, params, max=Infinity) {
+  let results = [];
+  let count = 0;
+  let cursor;
+  do {
+    const query = {
+      ...params,
+      limit: Math.min(SQUARE_RESPONSE_SIZE, max),
+    };
+    if (cursor) {
+      query.cursor = cursor;
+    }
+    const url = main_buildUrl(SQUARE_BASEURL + path, query);
+
+    const resp = square_http_fetch(url);
+    const data = resp.json[key];
+
+    if (data && data.length > 0) {
+      results.push(data);
+      count += data.length;
+    }
+
+    cursor = resp.json.cursor;
+  } while(cursor && count < max);
+
+  // Collapse all objects into a flat array, instead of an array of arrays.
+  return results.flat();
+}
+
+
+function square_txnFromPayment_(p) {
+  const card = p.card_details?.card ?? {};
+
+  let fee = 0;
+  for (const pf of p.processing_fee ?? []) {
+    fee += pf.amount_money.amount;
+  }
+
+  let memo = [];
+  if (p.buyer_email_address) {
+    memo.push(p.buyer_email_address);
+  }
+  memo.push(p.id);
+  if (p.note) {
+    memo.push(p.note);
+  }
+  if (p.order_id) {
+    memo.push('ORDER:' + p.order_id);
+  }
+  if (p.customer_id) {
+    memo.push('PAYER:' + p.customer_id);
+  }
+
+  return {
+    kind: 'payment',
+    date: p.created_at,
+    id: p.id,
+    gross: p.total_money.amount,
+    fee: fee,
+    name: card.cardholder_name || p.buyer_email_address || 'payment',
+    memo: memo,
+  };
+}
+
+
+// Square reports refund fees as negative amounts, since the fee is returned
+// to the seller.
+function square_txnFromRefund_(r) {
+  let fee = 0;
+  for (const pf of r.processing_fee ?? []) {
+    fee += pf.amount_money.amount;
+  }
+
+  let memo = [r.id, 'for:' + r.payment_id];
+  if (r.reason) {
+    memo.push(r.reason);
+  }
+
+  return {
+    kind: 'refund',
+    date: r.created_at,
+    id: r.id,
+    gross: -r.amount_money.amount,
+    fee: fee,
+    name: 'refund',
+    memo: memo,
+  };
+}
+
+
+function square_txnFromPayout_(po) {
+  let memo = [po.id];
+  if (po.destination) {
+    memo.push('BANK:' + po.destination.id);
+  }
+
+  return {
+    kind: 'payout',
+    date: po.created_at,
+    id: po.id,
+    gross: -po.amount_money.amount,
+    fee: 0,
+    name: 'withdrawal to bank',
+    memo: memo,
+  };
+}
+
+
+// Square reports amounts in the smallest unit of the currency. The number of
+// digits in the minor unit comes from the ISO 4217 definition of the currency.
+function square_amount_(amount, currency) {
+  const digits = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency
+  }).resolvedOptions().maximumFractionDigits;
+  return amount / Math.pow(10, digits);
+}
+
+
+function square_ofxTxnCode_(kind, amount) {
+  switch(kind) {
+    case 'payment':
+      return 'PAYMENT';
+    case 'payout':
+      return 'XFER';
+  }
+  return (amount < 0.0)? 'DEBIT' : 'CREDIT';
+}
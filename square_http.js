@@ -0,0 +1,138 @@
+/* square_http.js
+ *
+ * Maintains an authenticated HTTP connection with Square, and allows you to
+ * make HTTP requests across it. Handles rate limiting by reissuing requests
+ * along an exponential backoff schedule.
+ *
+ * Requires the following script properties to be set manually in your
+ * Google script settings:
+ *   square_access_token
+ */
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+const square_defaultContentType_ = 'application/json';
+
+const square_defaultHeaders_ = {
+  'Square-Version': '2024-06-04', // update this periodically, but make sure you test it.
+  'Accept': 'application/json',
+  //Authorization header added by square_http_getToken_().
+};
+
+const SQUARE_TOKEN_key = 'square_access_token';
+
+// Profile that the Authorization header was made for (see profile.js).
+let square_tokenProfile_;
+
+const SQUARE_RETRY_SCHED_ms = [ // Exponential backoff with factor of 4.
+      15 * 1000, // 15 seconds delay
+      60 * 1000, // 1 minute delay
+  4 * 60 * 1000, // 4 minutes delay
+];
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Public functions.
+ */
+
+function square_http_fetch(url, options={}) {
+  square_http_getToken_();
+
+  // Use internal defaults for contentType and headers, unless specifically
+  // passed in by user.
+  options.contentType = options.contentType ?? square_defaultContentType_;
+  options.headers = options.headers ?? {};
+  for (const [header, defaultValue] of Object.entries(square_defaultHeaders_)) {
+    options.headers[header] = options.headers[header] ?? defaultValue;
+  }
+
+  // Silence HTTP exceptions so we can handle rate limits, but
+  // record whether or not the caller wanted them.
+  const muteRequested = options.muteHttpExceptions ?? false;
+  options.muteHttpExceptions = true;
+
+  let resp = UrlFetchApp.fetch(url, options);
+
+  // If hit a rate limit, try a couple more times, according to the schedule
+  // defined in SQUARE_RETRY_SCHED_ms.
+  let attempt = 0;
+  while (resp.getResponseCode() == 429) {
+    // If we're still getting the error after completing all retries, throw err.
+    if (attempt >= SQUARE_RETRY_SCHED_ms.length) {
+      console.error(resp.getContentText());
+      // Attach the details of the failure for alert emails (see alert.js).
+      throw Object.assign(
+        new Error('exhausted all retry attempts, giving up.'),
+        {url: url, status: 429, body: resp.getContentText()}
+      );
+    }
+    // Sleep.
+    const delay_ms = SQUARE_RETRY_SCHED_ms[attempt];
+    console.log(`rate limited - sleeping ${delay_ms/1000} (s)`
+      + ` before next attempt (retry attempt #${attempt + 1}).`);
+    Utilities.sleep(delay_ms);
+    // Try again.
+    resp = UrlFetchApp.fetch(url, options);
+
+    attempt++;
+  }
+
+  // If caller didn't want to mute HTTP exceptions and one's there, throw error.
+  const code = resp.getResponseCode();
+  if (!muteRequested && code >= 400) {
+    if (resp.getContentText()) {
+      console.error(resp.getContentText());
+    }
+    // Attach the details of the failure for alert emails (see alert.js).
+    throw Object.assign(
+      new Error(`HTTP request to ${url} failed with status code ${code}.`),
+      {url: url, status: code, body: resp.getContentText()}
+    );
+  }
+
+  // Try parsing to JSON.
+  try {
+    resp.json = JSON.parse(resp.getContentText());
+  } catch(e) {
+    resp.json = null;
+  }
+
+  return resp;
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Internal helper functions.
+ */
+
+/* square_http_getToken_
+ *
+ * Square uses a long-lived personal access token, sent as a Bearer token
+ * with every request.
+ */
+function square_http_getToken_() {
+  const profile = profile_getCurrent();
+  if (square_defaultHeaders_.Authorization && square_tokenProfile_ === profile) {
+    return;
+  }
+
+  // Get token from property storage.
+  const ps = PropertiesService.getScriptProperties();
+  const key = profile_getKey(SQUARE_TOKEN_key);
+  const token = ps.getProperty(key);
+
+  // Add as an authentication header.
+  square_defaultHeaders_.Authorization = 'Bearer ' + token;
+  square_tokenProfile_ = profile;
+
+  console.log(`retrieved token from properties: '${key}'`);
+}
+
+
+// Clear internal connection state. Useful only for debugging.
+function square_http_reset() {
+  square_defaultHeaders_.Authorization = undefined;
+}
@@ -16,6 +16,20 @@
  *   - Balance transaction sources
  *   - Files
  *   - All Reporting resources (this one's near the bottom)
+ * and, for 'itemized' mode:
+ *   - Charges
+ *   - Invoices
+ *   - Checkout Sessions
+ *
+ * Platforms can also report on their Stripe Connect accounts by listing the
+ * connected account IDs in the following script property:
+ *   stripe_connected_accounts
+ *
+ * Each connected account is registered as a source of its own, keyed by its
+ * account ID, ex: stripe_acct_1a2b3c. It gets its own statement, with the
+ * account ID as the OFX account ID, and its own "since last" start date.
+ * doAllSinceLast() reports on every connected account. Scheduled reports can
+ * name one by its key, ex: "stripe_acct_1a2b3c: daily 06:00".
  */
 
 
@@ -29,6 +43,25 @@ const STRIPE_BASEURL = 'https://api.stripe.com';
 
 const STRIPE_REPORT = 'ending_balance_reconciliation.summary.1';
 
+// Comma-separated list of Stripe Connect account IDs to report on, in
+// addition to the platform account. ex: "acct_1a2b3c,acct_4d5e6f"
+// (OPTIONAL - defaults to none)
+const STRIPE_CONNECTED_ACCOUNTS_KEY = 'stripe_connected_accounts';
+
+// Names for the statement lines of each type of fee in a balance
+// transaction's fee_details, in gross mode. Other types use the description
+// that Stripe gives them.
+const STRIPE_FEE_NAMES = {
+  stripe_fee: 'Stripe processing fees',
+  application_fee: 'Application fee',
+  tax: 'Tax on Stripe fees',
+};
+
+const STRIPE_ZERO_DECIMAL_CURRENCIES = new Set([
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF',
+]);
+
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
@@ -40,37 +73,76 @@ const STRIPE_REPORT = 'ending_balance_reconciliation.summary.1';
  * Produce a Stripe bank statement containing all balance-affecting transacions
  * over the given time interval.
  * 
- * Currently, this function only supports producing reports for one currency at
- * a time.
+ * Each report covers a single currency. Use stripe_getCurrencies() to find
+ * every currency that the account holds, and make one report for each.
  * 
  * Parameters:
  *   startDate: datetime where the report begins (inclusive).
  *   endDate: datetime where the report ends (exclusive). Default: current time
  *   currency: only report txns & balances done in this currency. Default: USD
- *   mode: 'gross' or 'net' (default is 'net')
- *     gross: gross payment amount and total fees are reported as two separate transactions.
+ *   mode: 'gross', 'net' or 'itemized' (default is 'net')
+ *     gross: gross payment amount and each type of fee (Stripe's fee,
+ *            application fees, tax on fees) are reported as separate transactions.
  *     net: the net amount of the payment (gross - fees) is reported as one transaction.
+ *     itemized: like gross, but sales tax, shipping and discounts are split
+ *               out of payments for invoices and Checkout sessions, and out
+ *               of refunds of them, as separate transactions too. Takes an
+ *               extra request or two per payment and refund.
+ *   account: ID of the Stripe Connect account to report on, or null for the
+ *            platform account. Default: null
  * 
  * Returns: {
  *   reportDate: data current as of this date
  *   startDate: report start date (adjusted for data availability)
  *   endDate: report end date (adjusted for data availability)
+ *   currency: currency that this report covers
  *   balance: balance as of the report end date
+ *   openingBalance: balance as of the report start date, or null if the
+ *                   source can't report it
+ *   availableBalance: funds available to pay out, or null if unknown
+ *   availableBalanceDate: datetime that availableBalance was current as of
+ *   pendingBalance: funds that aren't available to pay out yet, or null if
+ *                   unknown
+ *   withheldBalance: funds held back by the source, or null if unknown
  *   numTxns: number of transactions that occurred in the report interval
+ *   bankId: bank ID to use in the OFX header
+ *   acctId: account ID to use in the OFX header
+ *   txns: list of statement lines, in the format accepted by ofx_makeStatement()
+ *   entries: list of transactions, one per transaction regardless of mode: {
+ *     date, type, id, name, memo: same as the transaction's main statement line
+ *     gross: gross amount
+ *     fee: fee amount (negative if the fee was charged to the account)
+ *     net: net amount (gross + fee)
+ *     category: category of the transaction, as named by the source
+ *     rule: name of the rule that matched the transaction, or null if none
+ *           did (see rules.js). Undefined if the source has no rules.
+ *   }
  *   ofx: a string representing the full report, formatted as OFX data.
  * }
  * 
  * Returns 'null' if the start date was so new that Stripe doesn't have data
  * available yet. Stripe's publishing interval may be up to 24 hours.
  */
-function stripe_makeReportOfx(startDate, endDate=Date.now(), currency='USD', mode='net') {
+function stripe_makeReportOfx(startDate, endDate=Date.now(), currency='USD', mode='net', account=null) {
   
   const isNet = mode === 'net';
+  const isItemized = mode === 'itemized';
+
+  currency = currency.toUpperCase();
+
+  // NAME and MEMO templates and rules set by the user, if any (see
+  // template.js and rules.js). Read them first, so a typo doesn't waste any
+  // requests.
+  const templates = template_get('stripe');
+  const rules = rules_get(
+    profile_getKey(stripe_sourceKey_(account)), 'stripe'
+  );
   
   res = stripe_getTransactions_(
     startDate,
     endDate,
-    currency
+    currency,
+    account
   );
 
   // If the start date was so new that there's no data available, pass the
@@ -79,14 +151,8 @@ function stripe_makeReportOfx(startDate, endDate=Date.now(), currency='USD', mod
     return res;
   }
 
-  ofx = ofx_makeHeader(
-    res.reportDate,
-    res.startDate,
-    res.endDate,
-    "Stripe",
-    "dashboard.stripe.com",
-    currency
-  );
+  const txns = [];
+  const entries = [];
 
   /*
     Format conversions for Stripe transaction objects:
@@ -94,14 +160,15 @@ function stripe_makeReportOfx(startDate, endDate=Date.now(), currency='USD', mod
     Datetime: uses Unix timestamps in seconds, must convert to milliseconds
               to be parseable by Javascript.
   
-    Amount: uses number of cents, must divide by 100 to get number of dollars.
+    Amount: uses the smallest unit of the currency (e.g., number of cents),
+            must convert to get the number of dollars (see stripe_amount_).
   */
    
   for (const txn of res.txns) {
     const date = txn.created * 1000;
-    const amountGross = txn.amount / 100;
-    const amountFee = txn.fee / 100;
-    const amountNet = txn.net / 100;
+    const amountGross = stripe_amount_(txn.amount, currency);
+    const amountFee = stripe_amount_(txn.fee, currency);
+    const amountNet = stripe_amount_(txn.net, currency);
 
     let memo = [];
 
@@ -128,37 +195,142 @@ function stripe_makeReportOfx(startDate, endDate=Date.now(), currency='USD', mod
       memo.push('BANK:' + src.destination);
     }
 
-    ofx += ofx_makeTxn(
-      stripe_ofxTxnCode_(txn.reporting_category, amountGross),
-      date,
-      isNet? amountNet : amountGross,
-      txn.id,
-      txn.description ?? txn.object,
-      memo.join(' // ')
-    );
+    const fields = {
+      ...txn,
+      default_name: txn.description ?? txn.object,
+      default_memo: memo.join(' // '),
+    };
+    const text = template_apply(templates, fields);
+
+    const line = {
+      type: stripe_ofxTxnCode_(txn.reporting_category, amountGross),
+      date: date,
+      amount: isNet? amountNet : amountGross,
+      id: txn.id,
+      name: text.name,
+      memo: text.memo,
+    };
+    const rule = rules_apply(rules, fields, line);
+    const parts = isItemized ? stripe_getParts_(txn, currency, account) : [];
+    const partLines = main_itemize_(line, parts, currency);
+    txns.push(line, ...partLines);
+
+    entries.push({
+      date: line.date,
+      type: line.type,
+      gross: amountGross,
+      fee: -amountFee,
+      net: amountNet,
+      id: line.id,
+      name: line.name,
+      memo: line.memo,
+      rule: rules.length > 0 ? rule : undefined,
+      category: txn.reporting_category,
+    });
 
     if (!isNet && amountFee != 0) {
-      ofx += ofx_makeTxn(
-        "FEE",
-        date,
-        -amountFee,
-        txn.id + '-1',
-        'Stripe processing fees',
-        'for:' + src.id ?? ti.transaction_id
-      );
+      txns.push(...stripe_makeFeeLines_(txn, date, currency));
     }
   }
 
-  ofx += ofx_makeFooter(res.balance, res.endDate);
-
-  return {
+  const out = {
     reportDate: res.reportDate,
     startDate: res.startDate,
     endDate: res.endDate,
+    currency: currency,
     balance: res.balance,
+    openingBalance: res.openingBalance,
+    availableBalance: res.available?.available ?? null,
+    availableBalanceDate: res.available?.date ?? null,
+    pendingBalance: res.available?.pending ?? null,
+    withheldBalance: null,
     numTxns: res.txns.length,
-    ofx: ofx,
+    bankId: "Stripe",
+    acctId: account ?? "dashboard.stripe.com",
+    txns: txns,
+    entries: entries,
   };
+  out.ofx = ofx_makeStatement(out);
+
+  return out;
+}
+
+
+/* stripe_getCurrencies
+ *
+ * Returns a sorted list of the three letter ISO codes (uppercase) of every
+ * currency that the Stripe account holds a balance in, either available or
+ * pending.
+ *
+ * Parameters:
+ *   account: ID of the Stripe Connect account to look at, or null for the
+ *            platform account. Default: null
+ */
+function stripe_getCurrencies(account=null) {
+  const resp = stripe_fetch_(STRIPE_BASEURL + '/v1/balance', account);
+
+  const currencies = new Set();
+  for (const bal of [...(resp.json.available ?? []), ...(resp.json.pending ?? [])]) {
+    currencies.add(bal.currency.toUpperCase());
+  }
+
+  console.log('Currencies held: ' + [...currencies].join(', '));
+
+  return [...currencies].sort();
+}
+
+
+/* stripe_source
+ *
+ * Describes this module to the source registry (see sources.js).
+ */
+function stripe_source() {
+  return {
+    key: 'stripe',
+    name: 'Stripe',
+    // Stripe never holds transactions back. Leave out holdPending, so it
+    // isn't read as the Connect account (see stripe_connectedSources()).
+    makeReport: (startDate, endDate, currency, mode) =>
+      stripe_makeReportOfx(startDate, endDate, currency, mode),
+    getCurrencies: stripe_getCurrencies,
+    dataDelay_ms: 24 * 60 * 60 * 1000, // 24 hours
+    url: 'https://dashboard.stripe.com',
+    colors: {
+      primary: '#635BFF',
+      secondary: '#0A2540',
+    },
+    credentials: [STRIPE_SECRET_key],
+  };
+}
+
+
+/* stripe_connectedSources
+ *
+ * Describes each Stripe Connect account listed in script properties to the
+ * source registry (see sources.js). Returns an empty list if there are none.
+ */
+function stripe_connectedSources() {
+  const ps = PropertiesService.getScriptProperties();
+  const accounts = main_parseList_(
+    ps.getProperty(profile_getKey(STRIPE_CONNECTED_ACCOUNTS_KEY)) ?? ''
+  );
+
+  return accounts.map((account) => {
+    if (!/^acct_\w+$/.test(account)) {
+      throw new Error(`Invalid Stripe account ID '${account}' in script `
+        + `property ${STRIPE_CONNECTED_ACCOUNTS_KEY}, it should look like `
+        + 'acct_1a2b3c.');
+    }
+    return {
+      ...stripe_source(),
+      key: stripe_sourceKey_(account),
+      name: 'Stripe ' + account,
+      makeReport: (startDate, endDate, currency, mode) =>
+        stripe_makeReportOfx(startDate, endDate, currency, mode, account),
+      getCurrencies: () => stripe_getCurrencies(account),
+      url: 'https://dashboard.stripe.com/connect/accounts/' + account,
+    };
+  });
 }
   
   
@@ -167,7 +339,143 @@ function stripe_makeReportOfx(startDate, endDate=Date.now(), currency='USD', mod
  * Internal helper functions.
  */
 
-function stripe_getTransactions_(startDate, endDate, currency='USD') {
+// Returns the registry key of the source for the given Stripe Connect account,
+// or of the platform account if it's null (see sources.js).
+function stripe_sourceKey_(account) {
+  return account ? 'stripe_' + account.toLowerCase() : 'stripe';
+}
+
+
+// Returns one FEE statement line for each type of fee in the given balance
+// transaction's fee_details. The FITID of each line is the transaction ID
+// plus the fee type, so it stays the same every time the statement is made.
+// Stripe's own fee keeps the '-1' suffix that the single fee line had before
+// fees were itemized, so statements that were already imported still match.
+function stripe_makeFeeLines_(txn, date, currency) {
+  const forId = txn.source?.id ?? txn.id;
+
+  let out = [];
+  let itemized = 0;
+  const seen = {};
+  for (const fee of txn.fee_details ?? []) {
+    if (fee.amount == 0) {
+      continue;
+    }
+    itemized += fee.amount;
+
+    // Fees of the same type from different applications get their own lines.
+    seen[fee.type] = (seen[fee.type] ?? 0) + 1;
+    const suffix = seen[fee.type] > 1 ? '-' + seen[fee.type] : '';
+
+    let memo = [];
+    if (fee.description) {
+      memo.push(fee.description);
+    }
+    if (fee.application) {
+      memo.push('APP:' + fee.application);
+    }
+    memo.push('for:' + forId);
+
+    out.push({
+      type: "FEE",
+      date: date,
+      amount: -stripe_amount_(fee.amount, currency),
+      id: fee.type === 'stripe_fee' && !suffix
+        ? txn.id + '-1'
+        : `${txn.id}-${fee.type}${suffix}`,
+      name: STRIPE_FEE_NAMES[fee.type] ?? fee.description ?? fee.type,
+      memo: memo.join(' // '),
+    });
+  }
+
+  // Whatever the details don't account for still has to be on the statement,
+  // or the balance won't add up.
+  if (txn.fee != itemized) {
+    out.push({
+      type: "FEE",
+      date: date,
+      amount: -stripe_amount_(txn.fee - itemized, currency),
+      id: out.length == 0 ? txn.id + '-1' : txn.id + '-fee',
+      name: 'Stripe fees',
+      memo: 'for:' + forId,
+    });
+  }
+
+  return out;
+}
+
+
+// Returns the parts of the given balance transaction that 'itemized' mode
+// splits out of the payment, in the format accepted by main_itemize_(). Only
+// charges for an invoice or a Checkout session say what they were made of,
+// and it takes a request to look that up. Refunds of those charges are split
+// up too, taking the same share of each part as they took of the charge.
+function stripe_getParts_(txn, currency, account=null) {
+  const src = txn.source;
+  if (src?.currency.toUpperCase() !== currency) {
+    return [];
+  }
+
+  let charge;
+  if (src.object === 'charge') {
+    charge = src;
+  } else if (src.object === 'refund' && src.charge) {
+    charge = src.charge.id ? src.charge : stripe_fetch_(
+      STRIPE_BASEURL + '/v1/charges/' + src.charge, account
+    ).json;
+  } else {
+    return [];
+  }
+  if (charge.currency.toUpperCase() !== currency || !charge.amount) {
+    return [];
+  }
+
+  const sum = (list) => (list ?? []).reduce((total, x) => total + x.amount, 0);
+
+  let total, tax, shipping, discount;
+  const invoiceId = charge.invoice?.id ?? charge.invoice;
+  if (invoiceId) {
+    const invoice = stripe_fetch_(
+      STRIPE_BASEURL + '/v1/invoices/' + invoiceId, account
+    ).json;
+    total = invoice.amount_paid;
+    tax = invoice.tax ?? sum(invoice.total_tax_amounts);
+    shipping = invoice.shipping_cost?.amount_subtotal ?? 0;
+    discount = sum(invoice.total_discount_amounts);
+  } else if (charge.payment_intent) {
+    const url = main_buildUrl(STRIPE_BASEURL + '/v1/checkout/sessions', {
+      payment_intent: charge.payment_intent?.id ?? charge.payment_intent,
+    });
+    const session = stripe_fetch_(url, account).json.data?.[0];
+    if (!session) {
+      return [];
+    }
+    total = session.amount_total;
+    tax = session.total_details?.amount_tax ?? 0;
+    shipping = session.total_details?.amount_shipping ?? 0;
+    discount = session.total_details?.amount_discount ?? 0;
+  } else {
+    return [];
+  }
+
+  // A charge for part of the total can't be split up.
+  if (total !== charge.amount) {
+    return [];
+  }
+
+  // Refunds take money back out, so their parts have the opposite sign.
+  const share = src === charge ? 1 : -src.amount / charge.amount;
+  const amount = (x) => stripe_amount_(Math.round(x * share), currency);
+
+  return [
+    {key: 'sales_tax', name: 'Sales tax', amount: amount(tax)},
+    {key: 'shipping', name: 'Shipping', amount: amount(shipping)},
+    {key: 'discount', name: 'Discount', amount: -amount(discount)},
+  ];
+}
+
+
+function stripe_getTransactions_(startDate, endDate, currency='USD', account=null) {
   // Stripe accepts all datetimes as Unix timestamps (seconds since 1970).
   // Javascript timestamps are in milliseconds, so we need to convert.
   startDate = stripe_timestamp(startDate);
@@ -178,7 +486,7 @@ function stripe_getTransactions_(startDate, endDate, currency='USD') {
   }
 
   // Check to see what date range data is available for.
-  const avail = stripe_getAvailableDates_();
+  const avail = stripe_getAvailableDates_(account);
 
   // If start date is so new that Stripe doesn't have any data available yet.
   if (startDate >= avail.endDate) {
@@ -193,13 +501,19 @@ function stripe_getTransactions_(startDate, endDate, currency='USD') {
     endDate: endDate * 1000,
     reportDate: avail.endDate * 1000,
     balance: null,
+    openingBalance: null,
+    available: null,
     txns: null,
   };
 
-  // Start generating an ending balance report at our new end date.
-  // Wait to pull the report till after we pull transaction history,
-  // to give it a little time to generate.
-  const reportId = stripe_requestBalanceReport_(endDate, currency);
+  // Start generating balance reports at our start date and new end date.
+  // Wait to pull the reports till after we pull transaction history,
+  // to give them a little time to generate. Stripe can't report the balance
+  // before the start of its data.
+  const reportId = stripe_requestBalanceReport_(endDate, currency, account);
+  const openingReportId = startDate >= avail.startDate
+    ? stripe_requestBalanceReport_(startDate, currency, account)
+    : null;
 
   // Request transactions. Response may require multiple pages.
   let results = [];
@@ -207,7 +521,7 @@ function stripe_getTransactions_(startDate, endDate, currency='USD') {
   do {
     const params = {
       limit: STRIPE_RESPONSE_SIZE,
-      currency: 'USD',
+      currency: currency.toLowerCase(),
       'expand[]': 'data.source', // include details looked up from original txn
       'created[gte]': startDate, //inclusive (>=)
       'created[lt]': endDate, //exclusive (<)
@@ -217,7 +531,7 @@ function stripe_getTransactions_(startDate, endDate, currency='USD') {
     }
     const url = main_buildUrl(STRIPE_BASEURL + '/v1/balance_transactions', params);
 
-    const resp = stripe_http_fetch(url);
+    const resp = stripe_fetch_(url, account);
     const data = resp.json.data;
 
     if (data && data.length > 0) {
@@ -237,17 +551,46 @@ function stripe_getTransactions_(startDate, endDate, currency='USD') {
     console.log(JSON.stringify(txn, null, 2));
   }
 
-  // Get balance as of the end date from the report we asked to have made
-  // earlier. Save it to output.
-  out.balance = stripe_getBalanceFromReport_(reportId);
+  // Get balances as of the start and end dates from the reports we asked to
+  // have made earlier. Save them to output.
+  out.balance = stripe_getBalanceFromReport_(reportId, account);
+  out.openingBalance = openingReportId
+    ? stripe_getBalanceFromReport_(openingReportId, account)
+    : null;
+
+  // Stripe only reports the available and pending funds as of right now, so
+  // they only belong on a statement that runs up to the latest data.
+  if (endDate >= avail.endDate) {
+    out.available = stripe_getAvailableBalance_(currency, account);
+  }
 
   return out;
 }
 
 
-function stripe_getAvailableDates_() {
-  const resp = stripe_http_fetch(STRIPE_BASEURL + '/v1/reporting/report_types/'
-    + STRIPE_REPORT
+// Returns the funds available to pay out and the funds still pending in the
+// given currency, as of the current time: {available, pending, date}
+function stripe_getAvailableBalance_(currency='USD', account=null) {
+  const resp = stripe_fetch_(STRIPE_BASEURL + '/v1/balance', account);
+
+  const sum = (list) => stripe_amount_(
+    (list ?? [])
+      .filter((bal) => bal.currency.toUpperCase() == currency)
+      .reduce((total, bal) => total + bal.amount, 0),
+    currency
+  );
+
+  return {
+    available: sum(resp.json.available),
+    pending: sum(resp.json.pending),
+    date: Date.now(),
+  };
+}
+
+
+function stripe_getAvailableDates_(account=null) {
+  const resp = stripe_fetch_(STRIPE_BASEURL + '/v1/reporting/report_types/'
+    + STRIPE_REPORT, account
   );
 
   const out = {
@@ -261,16 +604,16 @@ function stripe_getAvailableDates_() {
 }
 
 
-function stripe_requestBalanceReport_(date, currency='USD') {
+function stripe_requestBalanceReport_(date, currency='USD', account=null) {
   const payload = {
     report_type: STRIPE_REPORT,
-    'parameters[currency]': currency,
+    'parameters[currency]': currency.toLowerCase(),
     'parameters[interval_end]': ''+date,
     'parameters[columns[0]]': 'reporting_category',
     'parameters[columns[1]]': 'net'
   };
 
-  const resp = stripe_http_fetch(STRIPE_BASEURL + '/v1/reporting/report_runs', {
+  const resp = stripe_fetch_(STRIPE_BASEURL + '/v1/reporting/report_runs', account, {
     payload: payload
   });
 
@@ -285,7 +628,7 @@ function stripe_requestBalanceReport_(date, currency='USD') {
 
 // This returns the balance as the number of dollars (x.xx) instead of Stripe's
 // normal amount representation (number of cents, xxx).
-function stripe_getBalanceFromReport_(id) {
+function stripe_getBalanceFromReport_(id, account=null) {
   // Poll while report is pending.
   let resp;
   let delay_ms = 0;
@@ -297,7 +640,7 @@ function stripe_getBalanceFromReport_(id) {
     // minute between attempts.
     delay_ms = Math.min(delay_ms + 15 * 1000, 60 * 1000);
 
-    resp = stripe_http_fetch(STRIPE_BASEURL + '/v1/reporting/report_runs/' + id);
+    resp = stripe_fetch_(STRIPE_BASEURL + '/v1/reporting/report_runs/' + id, account);
 
   } while(resp.json.status === 'pending');
 
@@ -308,7 +651,7 @@ function stripe_getBalanceFromReport_(id) {
   }
 
   // Report succeeded - download contents.
-  resp = stripe_http_fetch(resp.json.result.url);
+  resp = stripe_fetch_(resp.json.result.url, account);
   const csv = resp.getContentText();
   console.log('Balance report:\n' + csv);
 
@@ -344,10 +687,31 @@ function stripe_getBalanceFromReport_(id) {
 }
 
 
+// Makes a request to Stripe on behalf of the given Stripe Connect account, or
+// the platform account if it's null. See stripe_http_fetch().
+function stripe_fetch_(url, account, options={}) {
+  if (account) {
+    options.headers = {...options.headers, 'Stripe-Account': account};
+  }
+  return stripe_http_fetch(url, options);
+}
+
+
 function stripe_timestamp(date) {
   return Math.floor(new Date(date).getTime() / 1000);
 }
 
+// Stripe reports amounts in the smallest unit of the currency. For most
+// currencies that's 1/100th of the major unit (cents), but some currencies
+// don't have a minor unit at all.
+// See: https://docs.stripe.com/currencies#zero-decimal
+function stripe_amount_(amount, currency) {
+  if (STRIPE_ZERO_DECIMAL_CURRENCIES.has(currency.toUpperCase())) {
+    return amount;
+  }
+  return amount / 100;
+}
+
 function stripe_ofxTxnCode_(reportingCategory, amount) {
   const cat = reportingCategory.toLowerCase();
   
@@ -22,6 +22,9 @@ const stripe_defaultHeaders_ = {
 
 const STRIPE_SECRET_key = 'stripe_client_secret';
 
+// Profile that the Authorization header was made for (see profile.js).
+let stripe_secretProfile_;
+
 const STRIPE_RETRY_SCHED_ms = [ // Exponential backoff with factor of 4.
       15 * 1000, // 15 seconds delay
       60 * 1000, // 1 minute delay
@@ -59,7 +62,11 @@ function stripe_http_fetch(url, options={}) {
     // If we're still getting the error after completing all retries, throw err.
     if (attempt >= STRIPE_RETRY_SCHED_ms.length) {
       console.error(JSON.stringify(JSON.parse(resp.getContentText()), null, 2));
-      throw new Error('exhausted all retry attempts, giving up.');
+      // Attach the details of the failure for alert emails (see alert.js).
+      throw Object.assign(
+        new Error('exhausted all retry attempts, giving up.'),
+        {url: url, status: 429, body: resp.getContentText()}
+      );
     }
     // Sleep.
     const delay_ms = STRIPE_RETRY_SCHED_ms[attempt];
@@ -78,8 +85,11 @@ function stripe_http_fetch(url, options={}) {
     if (resp.getContentText()) {
       console.error(JSON.stringify(JSON.parse(resp.getContentText()), null, 2));
     }
-    throw new Error(`HTTP request to ${url} `
-      + `failed with status code ${code}.`);
+    // Attach the details of the failure for alert emails (see alert.js).
+    throw Object.assign(
+      new Error(`HTTP request to ${url} failed with status code ${code}.`),
+      {url: url, status: code, body: resp.getContentText()}
+    );
   }
 
   // Try parsing to JSON.
@@ -104,19 +114,22 @@ function stripe_http_fetch(url, options={}) {
  * 
  */
 function stripe_http_getSecret_() {
-  if (stripe_defaultHeaders_.Authorization) {
+  const profile = profile_getCurrent();
+  if (stripe_defaultHeaders_.Authorization && stripe_secretProfile_ === profile) {
     return;
   }
 
   // Get secret from property storage.
   const ps = PropertiesService.getScriptProperties();
-  const secret = ps.getProperty(STRIPE_SECRET_key);
+  const key = profile_getKey(STRIPE_SECRET_key);
+  const secret = ps.getProperty(key);
 
   // Encode it and add as an authentication header.
   stripe_defaultHeaders_.Authorization
     = 'Basic ' + Utilities.base64Encode(secret);
+  stripe_secretProfile_ = profile;
 
-  console.log(`retrieved secret from properties: '${STRIPE_SECRET_key}'`);
+  console.log(`retrieved secret from properties: '${key}'`);
 }
 
 
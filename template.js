@@ -0,0 +1,244 @@
+/* template.js
+ *
+ * Lets the payee name (NAME) and memo (MEMO) of each statement line be set
+ * from a template, instead of the way each source builds them by default.
+ * QuickBooks bank rules match on these fields, so it helps to control exactly
+ * what goes in them.
+ *
+ * Templates are set per source (Stripe and PayPal), in the following script
+ * properties:
+ *   <source>_name_template
+ *   <source>_memo_template
+ * ex: stripe_name_template, paypal_memo_template. Profiles can set their own
+ * (see profile.js). Stripe Connect accounts use the Stripe templates.
+ *
+ * A template is plain text with placeholders:
+ *
+ *   {path}       a field of the transaction, as returned by the source's API.
+ *                Use dots for nested fields, ex: {source.billing_details.name}
+ *   {path|path}  the first of the listed fields that isn't empty
+ *   [text]       left out if any placeholder inside it is empty
+ *
+ * Fields for Stripe are those of the balance transaction, with its source
+ * expanded. ex: {description}, {reporting_category}, {source.customer}
+ * Fields for PayPal are those of the transaction detail, ex:
+ * {transaction_info.transaction_subject}, {payer_info.email_address}, plus
+ * {type_name}, the name of the transaction's event code, and for currency
+ * conversions, {conversion.from_amount}, {conversion.from_currency},
+ * {conversion.to_amount}, {conversion.to_currency} and {conversion.rate}.
+ *
+ * Every source also provides {default_name} and {default_memo}, which hold
+ * what NAME and MEMO would have been without a template.
+ *
+ * ex: "{source.billing_details.name|description}[ ({source.customer})]"
+ *
+ * NAME is limited to 32 characters and MEMO to 255. When a line comes out
+ * too long, the longest fields are shortened first, so that every field
+ * keeps a prefix that bank rules can match on, and the literal text of the
+ * template is kept intact.
+ */
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+
+// Template for the NAME of each statement line, see above.
+// key is prefixed by the source's registry key - paypal, stripe, square, etc.
+// (OPTIONAL - defaults to the source's own name)
+const TEMPLATE_NAME_KEY = '_name_template';
+
+// Template for the MEMO of each statement line, see above.
+// key is prefixed by the source's registry key - paypal, stripe, square, etc.
+// (OPTIONAL - defaults to the source's own memo)
+const TEMPLATE_MEMO_KEY = '_memo_template';
+
+// Longest values that OFX allows.
+const TEMPLATE_NAME_MAX_LENGTH = 32;
+const TEMPLATE_MEMO_MAX_LENGTH = 255;
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Public functions.
+ */
+
+/* template_get
+ *
+ * Reads and checks the NAME and MEMO templates for the given source from
+ * script properties, for the profile in use (see profile.js).
+ *
+ * Returns: {
+ *   name: parsed NAME template, or null if there isn't one
+ *   memo: parsed MEMO template, or null if there isn't one
+ * }
+ */
+function template_get(sourceKey) {
+  const profile = profile_getCurrent();
+
+  const read = (suffix) => {
+    const key = sourceKey + suffix;
+    const str = profile_getSetting(key, profile);
+    if (!str) {
+      return null;
+    }
+    try {
+      return template_parse_(str);
+    } catch(e) {
+      throw new Error(`Can't read template in script property `
+        + `${profile_getKey(key, profile)}: ${e.message}`);
+    }
+  };
+
+  return {
+    name: read(TEMPLATE_NAME_KEY),
+    memo: read(TEMPLATE_MEMO_KEY),
+  };
+}
+
+
+/* template_apply
+ *
+ * Returns the {name, memo} of a statement line, made from the given
+ * templates (as returned by template_get()) and the given transaction
+ * fields. fields.default_name and fields.default_memo are used wherever
+ * there's no template.
+ */
+function template_apply(templates, fields) {
+  return {
+    name: templates.name
+      ? template_render_(templates.name, fields, TEMPLATE_NAME_MAX_LENGTH)
+      : fields.default_name,
+    memo: templates.memo
+      ? template_render_(templates.memo, fields, TEMPLATE_MEMO_MAX_LENGTH)
+      : fields.default_memo,
+  };
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Internal helper functions.
+ */
+
+// Parses a template into a list of parts, each one of:
+//   {text}: literal text
+//   {paths}: placeholder, list of field paths to try in order
+//   {group}: optional group, list of text and placeholder parts
+function template_parse_(str) {
+  const out = [];
+  let parts = out;
+  let i = 0;
+  while (i < str.length) {
+    const c = str[i];
+    if (c == '{') {
+      const end = str.indexOf('}', i);
+      if (end < 0) {
+        throw new Error(`'{' at position ${i + 1} is never closed.`);
+      }
+      const paths = str.slice(i + 1, end).split('|').map((p) => p.trim());
+      if (paths.some((p) => !/^[\w.]+$/.test(p))) {
+        throw new Error(`'${str.slice(i, end + 1)}' isn't a valid placeholder.`);
+      }
+      parts.push({paths: paths});
+      i = end + 1;
+    } else if (c == '[') {
+      if (parts !== out) {
+        throw new Error(`'[' at position ${i + 1} is inside another '['.`);
+      }
+      const group = {group: []};
+      out.push(group);
+      parts = group.group;
+      i++;
+    } else if (c == ']') {
+      if (parts === out) {
+        throw new Error(`']' at position ${i + 1} was never opened.`);
+      }
+      parts = out;
+      i++;
+    } else {
+      const end = str.slice(i).search(/[{}[\]]/);
+      const text = end < 0 ? str.slice(i) : str.slice(i, i + end);
+      if (text) {
+        parts.push({text: text});
+        i += text.length;
+      } else {
+        throw new Error(`'}' at position ${i + 1} was never opened.`);
+      }
+    }
+  }
+  if (parts !== out) {
+    throw new Error(`'[' is never closed.`);
+  }
+  return out;
+}
+
+
+// Fills in the given parsed template from the given fields, shortening the
+// fields as needed to fit in maxLength characters.
+function template_render_(parts, fields, maxLength) {
+  const resolve = (part) => part.text !== undefined
+    ? part
+    : {value: template_getField_(fields, part.paths)};
+
+  // Flatten into a list of literal text and field values, leaving out any
+  // group with an empty field.
+  let pieces = [];
+  for (const part of parts) {
+    if (part.group) {
+      const group = part.group.map(resolve);
+      if (group.every((p) => p.value !== '')) {
+        pieces.push(...group);
+      }
+    } else {
+      pieces.push(resolve(part));
+    }
+  }
+
+  const values = pieces.filter((p) => p.value !== undefined);
+  const textLength = pieces.reduce((sum, p) => sum + (p.text?.length ?? 0), 0);
+  const valueLength = values.reduce((sum, p) => sum + p.value.length, 0);
+
+  // Find the longest length that every field can keep so that the whole
+  // line fits, by letting the shortest fields keep all of theirs first.
+  if (textLength + valueLength > maxLength) {
+    let budget = Math.max(maxLength - textLength, 0);
+    let cap = Infinity;
+    const lengths = values.map((p) => p.value.length).sort((a, b) => a - b);
+    for (const [i, length] of lengths.entries()) {
+      const share = Math.floor(budget / (lengths.length - i));
+      if (length > share) {
+        cap = share;
+        break;
+      }
+      budget -= length;
+    }
+    for (const p of values) {
+      p.value = p.value.slice(0, cap).trim();
+    }
+  }
+
+  const str = pieces.map((p) => p.text ?? p.value).join('');
+  return str.slice(0, maxLength).trim();
+}
+
+
+// Returns the first non-empty field at the given paths, as a single line of
+// text, or '' if they're all empty. Fields that hold objects or lists count
+// as empty.
+function template_getField_(fields, paths) {
+  for (const path of paths) {
+    let value = fields;
+    for (const name of path.split('.')) {
+      value = value?.[name];
+    }
+    if (value === null || value === undefined || typeof value == 'object') {
+      continue;
+    }
+    const str = String(value).replace(/\s+/g, ' ').trim();
+    if (str) {
+      return str;
+    }
+  }
+  return '';
+}
@@ -0,0 +1,569 @@
+/* shims.js
+ *
+ * Local stand-ins for the Google Apps Script services used by Statement
+ * Manager, so that the project can be run under Node without a Google
+ * account.
+ *
+ * Every service records what was done to it (requests made, emails sent,
+ * sleeps requested), so tests can make assertions about it afterwards.
+ *
+ * Main functions
+ * --------------
+ *
+ * * makeAppsScript:
+ *
+ *   Creates a fresh sandbox containing the shimmed services, with the whole
+ *   project loaded into it.
+ *
+ * * fixture:
+ *
+ *   Reads a recorded API response from the fixtures directory.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Public functions.
+ */
+
+/* makeAppsScript
+ *
+ * Parameters: {
+ *   properties: initial script properties
+ *   routes: list of recorded responses to serve from UrlFetchApp, see
+ *           makeUrlFetchApp() below
+ *   now: datetime to freeze Date.now() at
+ *   timeZone: script timezone. Default: America/New_York (see appsscript.json)
+ *   user: email address of the user running the script (and visiting the
+ *         web app). Default: owner@example.org
+ * }
+ *
+ * Returns: {
+ *   run: function(code) that evaluates code in the sandbox, returns result
+ *   properties: live script properties object
+ *   requests: list of every {method, url, options} passed to UrlFetchApp
+ *   emails: list of every message passed to MailApp.sendEmail()
+ *   sleeps: list of every delay (ms) passed to Utilities.sleep()
+ *   drive: the DriveApp stand-in, to create folders and inspect files
+ *   sheets: the SpreadsheetApp stand-in, to create spreadsheets and read rows
+ *   triggers: list of the project's current triggers, see makeScriptApp()
+ *   lock: the script lock's state, see makeLockService()
+ * }
+ */
+function makeAppsScript({properties={}, routes=[], now=Date.now(),
+  timeZone='America/New_York', user='owner@example.org'} = {}) {
+  const props = {...properties};
+  const emails = [];
+  const sleeps = [];
+  const urlFetchApp = makeUrlFetchApp(routes);
+  const driveApp = makeDriveApp();
+  const spreadsheetApp = makeSpreadsheetApp();
+  const scriptApp = makeScriptApp();
+  const lockService = makeLockService();
+
+  // Project logging is noisy, only show it when asked to.
+  const quiet = {log: () => {}, error: () => {}};
+
+  const context = vm.createContext({
+    console: process.env.SHOW_LOGS ? console : quiet,
+    UrlFetchApp: urlFetchApp,
+    PropertiesService: {
+      getScriptProperties: () => makeProperties(props),
+    },
+    Utilities: {
+      formatDate: formatDate,
+      base64Encode: (str) => Buffer.from(str).toString('base64'),
+      newBlob: (data, contentType, name) => makeBlob(data, contentType, name),
+      parseCsv: parseCsv,
+      parseDate: parseDate,
+      getUuid: () => crypto.randomUUID(),
+      sleep: (ms) => { sleeps.push(ms); },
+    },
+    DriveApp: driveApp,
+    SpreadsheetApp: spreadsheetApp,
+    LockService: lockService,
+    HtmlService: {
+      createHtmlOutput: (html) => makeOutput(html),
+    },
+    ContentService: {
+      createTextOutput: (str) => makeOutput(str),
+      MimeType: {CSV: 'text/csv', TEXT: 'text/plain'},
+    },
+    MailApp: {
+      sendEmail: (message) => { emails.push(message); },
+    },
+    Session: {
+      getScriptTimeZone: () => timeZone,
+      getActiveUserLocale: () => 'en-US',
+      getActiveUser: () => ({getEmail: () => user}),
+      getEffectiveUser: () => ({getEmail: () => 'owner@example.org'}),
+    },
+    ScriptApp: scriptApp,
+  });
+
+  vm.runInContext(`Date.now = () => ${new Date(now).getTime()};`, context);
+
+  // Apps Script shares one global scope between all the files in a project.
+  const files = fs.readdirSync(ROOT_DIR).filter((f) => f.endsWith('.js')).sort();
+  for (const file of files) {
+    vm.runInContext(
+      fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), context,
+      {filename: file}
+    );
+  }
+
+  return {
+    run: (code) => vm.runInContext(code, context),
+    properties: props,
+    requests: urlFetchApp.requests,
+    emails: emails,
+    sleeps: sleeps,
+    drive: driveApp,
+    sheets: spreadsheetApp,
+    triggers: scriptApp.triggers,
+    lock: lockService.state,
+  };
+}
+
+
+/* fixture
+ *
+ * Returns the contents of the given file from the fixtures directory, parsed
+ * as JSON if it's a .json file.
+ */
+function fixture(name) {
+  const str = fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8');
+  return name.endsWith('.json') ? JSON.parse(str) : str;
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Internal helper functions.
+ */
+
+/* Serves recorded responses. Each route looks like:
+ *
+ *   {
+ *     method: 'get', 'post', etc. (optional, matches any method if missing)
+ *     url: regex that the request URL must match
+ *     responses: list of {code, body} to return in order, the last one is
+ *                repeated once the others are used up
+ *     respond: alternative to responses, function(url, options) that
+ *              returns {code, body}
+ *   }
+ *
+ * Bodies that aren't strings are sent as JSON. The first matching route is
+ * used. Requests that don't match any route throw an error.
+ */
+function makeUrlFetchApp(routes) {
+  const requests = [];
+
+  const fetch = (url, options={}) => {
+    // Like the real UrlFetchApp, requests with a payload default to POST.
+    const method = (options.method ?? (options.payload ? 'post' : 'get'))
+      .toLowerCase();
+    requests.push({method: method, url: url, options: options});
+
+    const route = routes.find((r) =>
+      (!r.method || r.method === method) && r.url.test(url));
+    if (!route) {
+      throw new Error(`no fixture for ${method.toUpperCase()} ${url}`);
+    }
+
+    const spec = route.respond
+      ? route.respond(url, options)
+      : (route.responses.length > 1 ? route.responses.shift() : route.responses[0]);
+    const code = spec.code ?? 200;
+    const body = typeof spec.body === 'string'
+      ? spec.body : JSON.stringify(spec.body ?? {});
+
+    if (code >= 400 && !options.muteHttpExceptions) {
+      throw new Error(`Request failed for ${url} returned code ${code}.`);
+    }
+
+    return {
+      getResponseCode: () => code,
+      getContentText: () => body,
+      getHeaders: () => ({}),
+    };
+  };
+
+  return {
+    fetch: fetch,
+    fetchAll: (reqs) => reqs.map((r) => fetch(r.url, r)),
+    requests: requests,
+  };
+}
+
+
+/* Keeps folders and files in memory. Only supports the parts of the Folder and
+ * File classes used by the project.
+ */
+function makeDriveApp() {
+  let nextId = 1;
+  const folders = {};
+
+  const iterate = (items) => {
+    let i = 0;
+    return {hasNext: () => i < items.length, next: () => items[i++]};
+  };
+
+  const makeFile = (blob) => {
+    const id = 'file' + nextId++;
+    let description = null;
+    const file = {
+      getId: () => id,
+      getName: () => blob.getName(),
+      getUrl: () => `https://drive.google.com/file/d/${id}/view`,
+      getBlob: () => blob,
+      getDescription: () => description,
+      setDescription: (str) => { description = str; return file; },
+    };
+    return file;
+  };
+
+  const makeFolder = (name) => {
+    const id = 'folder' + nextId++;
+    const subfolders = [];
+    const files = [];
+    const folder = {
+      getId: () => id,
+      getName: () => name,
+      getFolders: () => iterate([...subfolders]),
+      getFoldersByName: (n) => iterate(subfolders.filter((f) => f.getName() === n)),
+      getFiles: () => iterate([...files]),
+      createFolder: (n) => {
+        const f = makeFolder(n);
+        subfolders.push(f);
+        return f;
+      },
+      createFile: (blob) => {
+        const f = makeFile(blob);
+        files.push(f);
+        return f;
+      },
+    };
+    folders[id] = folder;
+    return folder;
+  };
+
+  const root = makeFolder('My Drive');
+
+  return {
+    getRootFolder: () => root,
+    createFolder: (name) => root.createFolder(name),
+    getFolderById: (id) => {
+      if (!folders[id]) {
+        throw new Error(`No item with the given ID could be found: ${id}`);
+      }
+      return folders[id];
+    },
+  };
+}
+
+
+/* Script lock. Set state.heldElsewhere to pretend that another execution is
+ * holding it.
+ */
+function makeLockService() {
+  const state = {heldElsewhere: false, held: false};
+
+  const lock = {
+    tryLock: () => {
+      if (state.heldElsewhere) {
+        return false;
+      }
+      state.held = true;
+      return true;
+    },
+    waitLock: (ms) => {
+      if (!lock.tryLock(ms)) {
+        throw new Error('Lock timeout: another process was holding the lock '
+          + 'for too long.');
+      }
+    },
+    hasLock: () => state.held,
+    releaseLock: () => { state.held = false; },
+  };
+
+  return {
+    getScriptLock: () => lock,
+    state: state,
+  };
+}
+
+
+/* Keeps the project's triggers in memory. Each trigger records the settings
+ * made on its builder, ex: {handler: 'fn', timeBased: true, after: 60000}.
+ */
+function makeScriptApp() {
+  let nextId = 1;
+  const triggers = [];
+
+  const newTrigger = (handler) => {
+    const settings = {handler: handler};
+    const builder = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'create') {
+          return () => {
+            const id = 'trigger' + nextId++;
+            const trigger = {
+              ...settings,
+              getUniqueId: () => id,
+              getHandlerFunction: () => handler,
+            };
+            triggers.push(trigger);
+            return trigger;
+          };
+        }
+        return (value=true) => {
+          settings[name] = value;
+          return builder;
+        };
+      },
+    });
+    return builder;
+  };
+
+  return {
+    getScriptId: () => 'test-script-id',
+    getService: () => ({
+      getUrl: () => 'https://script.google.com/macros/s/test-script-id/exec',
+    }),
+    newTrigger: newTrigger,
+    WeekDay: Object.fromEntries(
+      ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY',
+        'SUNDAY'].map((day) => [day, day])
+    ),
+    getProjectTriggers: () => [...triggers],
+    deleteTrigger: (trigger) => {
+      const i = triggers.findIndex(
+        (t) => t.getUniqueId() === trigger.getUniqueId());
+      if (i >= 0) {
+        triggers.splice(i, 1);
+      }
+    },
+    triggers: triggers,
+  };
+}
+
+
+/* Keeps spreadsheets in memory as arrays of rows. Only supports the parts of
+ * the Spreadsheet, Sheet and Range classes used by the project.
+ */
+function makeSpreadsheetApp() {
+  let nextId = 1;
+  const spreadsheets = {};
+
+  const makeSheet = (name) => {
+    const rows = [];
+    const sheet = {
+      getName: () => name,
+      getLastRow: () => rows.length,
+      setFrozenRows: () => sheet,
+      getRange: (row, column, numRows=1, numColumns=1) => ({
+        getValues: () => rows.slice(row - 1, row - 1 + numRows).map(
+          (r) => r.slice(column - 1, column - 1 + numColumns)
+        ),
+        setValues: (values) => {
+          if (values.length != numRows || values.some((v) => v.length != numColumns)) {
+            throw new Error('The number of rows or columns in the data does '
+              + 'not match the number of rows or columns in the range.');
+          }
+          for (const [i, v] of values.entries()) {
+            rows[row - 1 + i] = rows[row - 1 + i] ?? [];
+            rows[row - 1 + i].splice(column - 1, numColumns, ...v);
+          }
+        },
+      }),
+      // Not part of Apps Script, lets tests read back what was written.
+      rows: rows,
+    };
+    return sheet;
+  };
+
+  const create = (name) => {
+    const id = 'spreadsheet' + nextId++;
+    const sheets = [makeSheet('Sheet1')];
+    const ss = {
+      getId: () => id,
+      getName: () => name,
+      getUrl: () => `https://docs.google.com/spreadsheets/d/${id}/edit`,
+      getSheets: () => [...sheets],
+      getSheetByName: (n) => sheets.find((s) => s.getName() === n) ?? null,
+      insertSheet: (n) => {
+        const s = makeSheet(n);
+        sheets.push(s);
+        return s;
+      },
+    };
+    spreadsheets[id] = ss;
+    return ss;
+  };
+
+  return {
+    create: create,
+    openById: (id) => {
+      if (!spreadsheets[id]) {
+        throw new Error(`Unexpected error while getting the method or property openById on object SpreadsheetApp.`);
+      }
+      return spreadsheets[id];
+    },
+  };
+}
+
+
+function makeProperties(props) {
+  return {
+    getProperty: (key) => props[key] ?? null,
+    getProperties: () => ({...props}),
+    // Apps Script stores every value as a string.
+    setProperty: (key, value) => { props[key] = String(value); },
+    setProperties: (values) => {
+      for (const [key, value] of Object.entries(values)) {
+        props[key] = String(value);
+      }
+    },
+    deleteProperty: (key) => { delete props[key]; },
+  };
+}
+
+
+function makeBlob(data, contentType, name) {
+  return {
+    getDataAsString: () => String(data),
+    getBytes: () => [...Buffer.from(String(data))],
+    getContentType: () => contentType,
+    getName: () => name,
+  };
+}
+
+
+/* Supports the subset of Java's SimpleDateFormat patterns used by the
+ * project: yyyy, MM, M, dd, d, HH, mm, ss, SSS, z, XXX and 'quoted text'.
+ */
+function formatDate(date, tz, pattern) {
+  const d = new Date(date);
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23', timeZoneName: 'short',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  });
+  for (const p of fmt.formatToParts(d)) {
+    parts[p.type] = p.value;
+  }
+
+  const localMs = Date.UTC(parts.year, parts.month - 1, parts.day,
+    parts.hour, parts.minute, parts.second);
+  const offsetMin = Math.round((localMs - Math.floor(d.getTime() / 1000) * 1000)
+    / 60000);
+  const pad = (n, len=2) => String(Math.abs(n)).padStart(len, '0');
+  const offset = offsetMin === 0 ? 'Z'
+    : (offsetMin < 0 ? '-' : '+') + pad(Math.trunc(offsetMin / 60)) + ':'
+      + pad(offsetMin % 60);
+
+  return pattern.replace(/'[^']*'|yyyy|MM|M|dd|d|HH|mm|ss|SSS|XXX|z/g, (tok) => {
+    switch(tok) {
+      case 'yyyy': return parts.year;
+      case 'MM': return parts.month;
+      case 'M': return String(Number(parts.month));
+      case 'dd': return parts.day;
+      case 'd': return String(Number(parts.day));
+      case 'HH': return parts.hour;
+      case 'mm': return parts.minute;
+      case 'ss': return parts.second;
+      case 'SSS': return pad(d.getUTCMilliseconds(), 3);
+      case 'XXX': return offset;
+      case 'z': return parts.timeZoneName;
+    }
+    return tok.slice(1, -1); // quoted text
+  });
+}
+
+
+// Only supports the 'yyyy-MM-dd' pattern.
+function parseDate(str, tz, pattern) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str);
+  if (pattern !== 'yyyy-MM-dd' || !match) {
+    throw new Error(`Unsupported date '${str}' or pattern '${pattern}'.`);
+  }
+
+  // Find the timezone's offset at that time, then correct for it.
+  const guess = Date.UTC(match[1], match[2] - 1, match[3]);
+  const local = formatDate(guess, tz, "yyyy-MM-dd'T'HH:mm:ss");
+  const offset = Date.parse(local + 'Z') - guess;
+  return new Date(guess - offset);
+}
+
+
+/* HtmlOutput and TextOutput stand-in, records the settings applied to it. */
+function makeOutput(content) {
+  const output = {
+    content: content,
+    title: null,
+    mimeType: null,
+    fileName: null,
+    getContent: () => content,
+    setTitle: (title) => { output.title = title; return output; },
+    setMimeType: (type) => { output.mimeType = type; return output; },
+    downloadAsFile: (name) => { output.fileName = name; return output; },
+  };
+  return output;
+}
+
+
+function parseCsv(str, delimiter=',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < str.length; i++) {
+    const c = str[i];
+    if (quoted) {
+      if (c === '"' && str[i+1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && str[i+1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+
+module.exports = {
+  makeAppsScript,
+  fixture,
+};
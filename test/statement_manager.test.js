@@ -0,0 +1,2000 @@
+/* statement_manager.test.js
+ *
+ * Runs the Stripe, PayPal and Square modules and the main entry points end to
+ * end, against recorded API responses (see fixtures/).
+ *
+ * Run with:
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {makeAppsScript, fixture} = require('./shims.js');
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Recorded API responses.
+ */
+
+// Stripe: first report run request is rate limited, the closing balance
+// report is still pending the first time it's polled, and the transaction
+// list takes two pages. Balance reports for any date other than the end of the
+// data are for the opening balance on 2024-01-01. With jpy, the account also
+// holds yen, a currency with no minor unit, and its reports are ready at once.
+function stripeRoutes({jpy=false} = {}) {
+  let rateLimited = false;
+  const jpyRun = (id) => ({
+    ...fixture('stripe/report_run_succeeded.json'),
+    id: 'frr_' + id,
+    result: {url: `https://files.stripe.com/v1/files/file_${id}/contents`},
+  });
+  return [
+    {method: 'get', url: /\/v1\/reporting\/report_types\//,
+      responses: [{body: fixture('stripe/report_type.json')}]},
+    {method: 'get', url: /\/v1\/balance$/,
+      responses: [{body: fixture(jpy
+        ? 'stripe/balance_multi_currency.json' : 'stripe/balance.json')}]},
+    {method: 'get', url: /\/v1\/invoices\/in_1$/,
+      responses: [{body: fixture('stripe/invoice.json')}]},
+    {method: 'get', url: /\/v1\/charges\/ch_1$/,
+      responses: [{body: fixture('stripe/charge.json')}]},
+    {method: 'post', url: /\/v1\/reporting\/report_runs$/,
+      respond: (url, options) => {
+        if (options.payload['parameters[currency]'] === 'jpy') {
+          return {body: jpyRun(
+            options.payload['parameters[interval_end]'] === '1706745600'
+              ? 'jpy_1' : 'jpy_0'
+          )};
+        }
+        if (!rateLimited) {
+          rateLimited = true;
+          return {code: 429, body: fixture('stripe/rate_limited.json')};
+        }
+        return options.payload['parameters[interval_end]'] === '1706745600'
+          ? {body: fixture('stripe/report_run_pending.json')}
+          : {body: fixture('stripe/report_run_opening_succeeded.json')};
+      }},
+    {method: 'get', url: /\/v1\/reporting\/report_runs\/frr_1$/,
+      responses: [
+        {body: fixture('stripe/report_run_pending.json')},
+        {body: fixture('stripe/report_run_succeeded.json')},
+      ]},
+    {method: 'get', url: /\/v1\/reporting\/report_runs\/frr_0$/,
+      responses: [{body: fixture('stripe/report_run_opening_succeeded.json')}]},
+    {method: 'get', url: /\/v1\/reporting\/report_runs\/frr_jpy_\d$/,
+      respond: (url) => ({body: jpyRun(url.match(/jpy_\d$/)[0])})},
+    {method: 'get', url: /files\.stripe\.com\/v1\/files\/file_jpy_1\/contents$/,
+      responses: [{body: fixture('stripe/balance_report_jpy.csv')}]},
+    {method: 'get', url: /files\.stripe\.com\/v1\/files\/file_jpy_0\/contents$/,
+      responses: [{body: fixture('stripe/balance_report_jpy_opening.csv')}]},
+    {method: 'get', url: /\/v1\/balance_transactions\?.*currency=jpy/,
+      responses: [{body: fixture('stripe/balance_transactions_jpy.json')}]},
+    {method: 'get', url: /files\.stripe\.com\/v1\/files\/file_1\/contents$/,
+      responses: [{body: fixture('stripe/balance_report.csv')}]},
+    {method: 'get', url: /files\.stripe\.com\/v1\/files\/file_0\/contents$/,
+      responses: [{body: fixture('stripe/balance_report_opening.csv')}]},
+    {method: 'get', url: /\/v1\/balance_transactions\?.*starting_after=txn_2/,
+      responses: [{body: fixture('stripe/balance_transactions_page2.json')}]},
+    {method: 'get', url: /\/v1\/balance_transactions\?/,
+      responses: [{body: fixture('stripe/balance_transactions_page1.json')}]},
+  ];
+}
+
+// PayPal: only accepts the token handed out by the token endpoint, so a stale
+// token from script properties gets rejected with a 401. Transactions take
+// two pages, and the balance was zero when the transactions start.
+function paypalRoutes({startDateTooNew=false} = {}) {
+  const authorized = (options) =>
+    options.headers.Authorization === 'Bearer fresh-token';
+
+  return [
+    {method: 'post', url: /\/v1\/oauth2\/token$/,
+      responses: [{body: fixture('paypal/oauth_token.json')}]},
+    {method: 'get', url: /\/v1\/reporting\/transactions\?/,
+      respond: (url, options) => {
+        if (!authorized(options)) {
+          return {code: 401, body: fixture('paypal/unauthorized.json')};
+        }
+        if (startDateTooNew) {
+          return {code: 400, body: fixture('paypal/start_date_too_new.json')};
+        }
+        return /[?&]page=2/.test(url)
+          ? {body: fixture('paypal/transactions_page2.json')}
+          : {body: fixture('paypal/transactions_page1.json')};
+      }},
+    {method: 'get', url: /\/v1\/reporting\/balances/,
+      respond: (url, options) => {
+        if (!authorized(options)) {
+          return {code: 401, body: fixture('paypal/unauthorized.json')};
+        }
+        return /as_of_time=2024-01-01T05/.test(url)
+          ? {body: fixture('paypal/balances_opening.json')}
+          : {body: fixture('paypal/balances.json')};
+      }},
+  ];
+}
+
+// Square: serves the recorded payments (two pages), refunds and payouts, but
+// like the real API, only the ones created within the requested interval, in
+// the requested order and up to the requested limit. Payouts can be swapped
+// for ones that don't sweep the whole balance.
+function squareRoutes({payouts='square/payouts.json'} = {}) {
+  const list = (key, pages) => (url) => {
+    const params = new URL(url).searchParams;
+    const begin = params.has('begin_time')
+      ? Date.parse(params.get('begin_time')) : -Infinity;
+    const end = params.has('end_time')
+      ? Date.parse(params.get('end_time')) : Infinity;
+
+    const page = fixture(params.get('cursor') ? pages[1] : pages[0]);
+    let items = page[key].filter((x) =>
+      Date.parse(x.created_at) >= begin && Date.parse(x.created_at) < end);
+    if (params.get('sort_order') === 'DESC') {
+      items.reverse();
+    }
+    items = items.slice(0, Number(params.get('limit') ?? Infinity));
+    return {body: {[key]: items, cursor: page.cursor}};
+  };
+
+  return [
+    {method: 'get', url: /\/v2\/locations$/,
+      responses: [{body: fixture('square/locations.json')}]},
+    {method: 'get', url: /\/v2\/payments\?/,
+      respond: list('payments',
+        ['square/payments_page1.json', 'square/payments_page2.json'])},
+    {method: 'get', url: /\/v2\/refunds\?/,
+      respond: list('refunds', ['square/refunds.json'])},
+    {method: 'get', url: /\/v2\/payouts\?/,
+      respond: list('payouts', [payouts])},
+  ];
+}
+
+const STRIPE_PROPERTIES = {
+  stripe_client_secret: 'sk_test_123',
+  email_recipients_list: 'books@example.org',
+};
+
+const PAYPAL_PROPERTIES = {
+  paypal_client_id: 'client-id',
+  paypal_client_secret: 'client-secret',
+  paypal_access_token: 'stale-token',
+  paypal_access_token_expires: '2024-01-21T06:00:00.000Z',
+  email_recipients_list: 'books@example.org',
+};
+
+const SQUARE_PROPERTIES = {
+  square_access_token: 'sq-token',
+  email_recipients_list: 'books@example.org',
+};
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Helpers.
+ */
+
+// Parses and validates the given OFX file inside the sandbox. Results are
+// copied out of the sandbox, so they can be compared with deepEqual.
+function readOfx(gas, str) {
+  gas.run('globalThis').__ofx = str;
+  assert.deepEqual(
+    JSON.parse(gas.run('JSON.stringify(ofx_reader_validate(__ofx))')), []);
+  return JSON.parse(gas.run('JSON.stringify(ofx_reader_parse(__ofx))'));
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Stripe.
+ */
+
+test('stripe_makeReportOfx reports every page of transactions in net mode', () => {
+  const gas = makeAppsScript({
+    properties: STRIPE_PROPERTIES,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  const res = gas.run(`stripe_makeReportOfx(
+    '2024-01-01T00:00:00-05:00', Date.now(), 'USD', 'net')`);
+
+  // End date is clamped to Stripe's data availability.
+  assert.equal(res.startDate, Date.parse('2024-01-01T00:00:00-05:00'));
+  assert.equal(res.endDate, Date.parse('2024-02-01T00:00:00Z'));
+  assert.equal(res.balance, 125.50);
+  assert.equal(res.numTxns, 3);
+
+  const ofx = readOfx(gas, res.ofx);
+  assert.equal(ofx.currency, 'USD');
+  assert.equal(ofx.balance.amount, 125.50);
+
+  // The statement runs up to the latest data, so it has the current funds.
+  assert.equal(res.pendingBalance, 0);
+  assert.deepEqual(ofx.availableBalance, {
+    amount: 125.50,
+    date: Date.parse('2024-02-02T12:00:00Z'),
+  });
+  assert.deepEqual(
+    ofx.txns.map((t) => [t.id, t.type, t.amount]),
+    [
+      ['txn_1', 'PAYMENT', 48.25],
+      ['txn_2', 'XFER', -30],
+      ['txn_3', 'DEBIT', -10],
+    ]
+  );
+  assert.equal(ofx.txns[0].name, 'Widget order');
+  assert.match(ofx.txns[0].memo, /Ada Lovelace \/\/ ada@example\.com/);
+
+  // Rate limit retry, then one poll of the pending report.
+  assert.deepEqual(gas.sleeps, [15 * 1000, 15 * 1000]);
+});
+
+
+test('stripe_makeReportOfx splits out fees in gross mode', () => {
+  const gas = makeAppsScript({
+    properties: STRIPE_PROPERTIES,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  const res = gas.run(`stripe_makeReportOfx(
+    '2024-01-01T00:00:00-05:00', Date.now(), 'USD', 'gross')`);
+
+  const ofx = readOfx(gas, res.ofx);
+  assert.deepEqual(
+    ofx.txns.map((t) => [t.id, t.type, t.amount]),
+    [
+      ['txn_1', 'PAYMENT', 50],
+      ['txn_1-1', 'FEE', -1.45],
+      ['txn_1-application_fee', 'FEE', -0.2],
+      ['txn_1-tax', 'FEE', -0.1],
+      ['txn_2', 'XFER', -30],
+      ['txn_3', 'DEBIT', -10],
+    ]
+  );
+  assert.deepEqual(
+    ofx.txns.slice(1, 4).map((t) => [t.name, t.memo]),
+    [
+      ['Stripe processing fees', 'Stripe processing fees // for:ch_1'],
+      ['Application fee', 'Widget Shop application fee // APP:ca_1 // for:ch_1'],
+      ['Tax on Stripe fees', 'VAT on Stripe fees // for:ch_1'],
+    ]
+  );
+});
+
+
+test('stripe_makeReportOfx splits out tax and discounts of payments and refunds in itemized mode', () => {
+  const gas = makeAppsScript({
+    properties: {
+      ...STRIPE_PROPERTIES,
+      rules: JSON.stringify([
+        {rule: 'Fifty', min_amount: 50, max_amount: 50, tag: 'fifty'},
+      ]),
+    },
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  const res = gas.run(`stripe_makeReportOfx(
+    '2024-01-01T00:00:00-05:00', Date.now(), 'USD', 'itemized')`);
+
+  const ofx = readOfx(gas, res.ofx);
+  assert.deepEqual(
+    ofx.txns.map((t) => [t.id, t.type, t.amount]),
+    [
+      ['txn_1', 'PAYMENT', 51],
+      ['txn_1-sales_tax', 'CREDIT', 4],
+      ['txn_1-discount', 'DEBIT', -5],
+      ['txn_1-1', 'FEE', -1.45],
+      ['txn_1-application_fee', 'FEE', -0.2],
+      ['txn_1-tax', 'FEE', -0.1],
+      ['txn_2', 'XFER', -30],
+      // A fifth of ch_1 was refunded, so a fifth of its tax and discount.
+      ['txn_3', 'DEBIT', -10.2],
+      ['txn_3-sales_tax', 'DEBIT', -0.8],
+      ['txn_3-discount', 'CREDIT', 1],
+    ]
+  );
+  assert.deepEqual(
+    ofx.txns.slice(1, 3).map((t) => [t.name, t.memo]),
+    [['Sales tax', 'for:txn_1'], ['Discount', 'for:txn_1']]
+  );
+  assert.deepEqual(
+    ofx.txns.slice(-2).map((t) => [t.name, t.memo]),
+    [['Sales tax', 'for:txn_3'], ['Discount', 'for:txn_3']]
+  );
+  // Rules see the whole payment, like in gross mode.
+  assert.match(ofx.txns[0].memo, / \/\/ fifty$/);
+  // Itemizing doesn't change the balance.
+  assert.equal(res.balance, gas.run(`stripe_makeReportOfx(
+    '2024-01-01T00:00:00-05:00', Date.now(), 'USD', 'gross')`).balance);
+});
+
+
+test('stripe_makeReportOfx fills in NAME and MEMO from templates', () => {
+  const gas = makeAppsScript({
+    properties: {
+      ...STRIPE_PROPERTIES,
+      stripe_name_template: 'Order: {description|object}[ / {source.billing_details.email}]',
+      stripe_memo_template: '{reporting_category}[ customer {source.customer}] {id}',
+    },
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  const res = gas.run(`stripe_makeReportOfx(
+    '2024-01-01T00:00:00-05:00', Date.now(), 'USD', 'net')`);
+
+  // Too long for NAME, so the longest fields were shortened evenly.
+  const ofx = readOfx(gas, res.ofx);
+  assert.deepEqual(
+    ofx.txns.map((t) => [t.name, t.memo]),
+    [
+      ['Order: Widget orde / ada@example', 'charge customer cus_1 txn_1'],
+      ['Order: STRIPE PAYOUT', 'payout txn_2'],
+      ['Order: balance_transaction', 'refund txn_3'],
+    ]
+  );
+  assert.equal(res.entries[0].name, 'Order: Widget orde / ada@example');
+});
+
+
+test('stripe_makeReportOfx rejects a template it can\'t read', () => {
+  const gas = makeAppsScript({
+    properties: {...STRIPE_PROPERTIES, stripe_memo_template: '[{id} // '},
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  assert.throws(
+    () => gas.run(`stripe_makeReportOfx('2024-01-01T00:00:00-05:00')`),
+    /script property stripe_memo_template: '\[' is never closed/
+  );
+});
+
+
+test('stripe_makeReportOfx returns null when no new data is available', () => {
+  const gas = makeAppsScript({
+    properties: STRIPE_PROPERTIES,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  const res = gas.run(`stripe_makeReportOfx('2024-02-01T00:00:00Z')`);
+
+  assert.equal(res, null);
+});
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * PayPal.
+ */
+
+test('paypal_makeReportOfx refreshes an expired token and reads all pages', () => {
+  const gas = makeAppsScript({
+    properties: PAYPAL_PROPERTIES,
+    routes: paypalRoutes(),
+    now: '2024-01-21T00:00:00Z',
+  });
+
+  const res = gas.run(`paypal_makeReportOfx(
+    '2024-01-01T00:00:00-05:00', '2024-01-20T00:00:00Z', 'USD', 'gross')`);
+
+  assert.equal(res.startDate, Date.parse('2024-01-01T00:00:00-05:00'));
+  assert.equal(res.endDate, Date.parse('2024-01-20T00:00:00Z'));
+  assert.equal(res.balance, 46.80);
+  assert.equal(res.numTxns, 2);
+
+  const ofx = readOfx(gas, res.ofx);
+  assert.equal(ofx.acctId, 'ABCD1234');
+  assert.equal(res.withheldBalance, 0);
+  assert.deepEqual(ofx.availableBalance, {amount: 46.80, date: res.endDate});
+  assert.deepEqual(
+    ofx.txns.map((t) => [t.id, t.type, t.amount, t.name]),
+    [
+      ['PP1-T0013', 'PAYMENT', 100, 'Grace Hopper'],
+      ['PP1-1', 'FEE', -3.20, 'PayPal'],
+      ['PP2-T0403', 'XFER', -50, 'withdrawal to bank'],
+    ]
+  );
+
+  // New token is stored for the next run.
+  assert.equal(gas.properties.paypal_access_token, 'fresh-token');
+  const tokenRequests = gas.requests.filter((r) => /oauth2/.test(r.url));
+  assert.equal(tokenRequests.length, 1);
+});
+
+
+test('paypal_makeReportOfx splits out tax and shipping in itemized mode', () => {
+  const gas = makeAppsScript({
+    properties: PAYPAL_PROPERTIES,
+    routes: paypalRoutes(),
+    now: '2024-01-21T00:00:00Z',
+  });
+
+  const res = gas.run(`paypal_makeReportOfx(
+    '2024-01-01T00:00:00-05:00', '2024-01-20T00:00:00Z', 'USD', 'itemized')`);
+
+  assert.equal(res.balance, 46.80);
+  const ofx = readOfx(gas, res.ofx);
+  assert.deepEqual(
+    ofx.txns.map((t) => [t.id, t.type, t.amount]),
+    [
+      ['PP1-T0013', 'PAYMENT', 87],
+      ['PP1-T0013-sales_tax', 'CREDIT', 8],
+      ['PP1-T0013-shipping', 'CREDIT', 5],
+      ['PP1-1', 'FEE', -3.20],
+      ['PP2-T0403', 'XFER', -50],
+    ]
+  );
+});
+
+
+test('main_itemize_ rounds what\'s left of the payment to the currency\'s minor unit', () => {
+  const gas = makeAppsScript();
+
+  const itemize = (amount, parts, currency) => gas.run(`(() => {
+    const line = {date: 0, amount: ${amount}, id: 'p1'};
+    main_itemize_(line, ${JSON.stringify(parts)}, '${currency}');
+    return line.amount;
+  })()`);
+
+  assert.equal(itemize(10.1, [{key: 'tax', amount: 0.7}], 'USD'), 9.4);
+  assert.equal(itemize(10.125, [{key: 'tax', amount: 0.05}], 'KWD'), 10.075);
+  assert.equal(itemize(1000, [{key: 'tax', amount: 90.9}], 'JPY'), 909);
+});
+
+
+test('paypal_makeReportOfx describes both halves of a currency conversion', () => {
+  const gas = makeAppsScript({
+    properties: PAYPAL_PROPERTIES,
+    routes: [
+      {method: 'get', url: /\/v1\/reporting\/transactions\?.*transaction_type=T0200/,
+        responses: [{body: fixture('paypal/conversions.json')}]},
+      {method: 'get', url: /\/v1\/reporting\/transactions\?/,
+        responses: [{body: fixture('paypal/transactions_conversion.json')}]},
+      ...paypalRoutes(),
+    ],
+    now: '2024-01-21T00:00:00Z',
+  });
+
+  const res = gas.run(`paypal_makeReportOfx(
+    '2024-01-01T00:00:00-05:00', '2024-01-20T00:00:00Z', 'USD', 'gross')`);
+
+  const ofx = readOfx(gas, res.ofx);
+  assert.deepEqual(
+    ofx.txns.map((t) => [t.id, t.type, t.amount, t.name, t.memo]),
+    [
+      ['PP5-T0200', 'XFER', 108, 'currency conversion',
+        'PP5 // converted 100.00 EUR to 108.00 USD @ 1 EUR = 1.08 USD // TXN:PP3'],
+    ]
+  );
+
+  // The other half is looked up in every currency, around the same time.
+  const lookup = gas.requests.find((r) => /transaction_type=T0200/.test(r.url));
+  assert.doesNotMatch(lookup.url, /transaction_currency/);
+  assert.match(lookup.url, /start_date=2024-01-08T08%3A59%3A00/);
+});
+
+
+test('paypal_makeReportOfx holds pending transactions until they complete', () => {
+  const first = makeAppsScript({
+    properties: PAYPAL_PROPERTIES,
+    routes: [
+      {method: 'get', url: /\/v1\/reporting\/transactions\?/,
+        responses: [{body: fixture('paypal/transactions_status.json')}]},
+      ...paypalRoutes(),
+    ],
+    now: '2024-01-21T00:00:00Z',
+  });
+
+  let res = first.run(`paypal_makeReportOfx(
+    '2024-01-01T00:00:00-05:00', '2024-01-20T00:00:00Z', 'USD', 'gross', true)`);
+
+  // Pending PP6 is held back, denied PP7 is left out, and the refund refers
+  // back to the payment it undoes.
+  assert.deepEqual(
+    readOfx(first, res.ofx).txns.map((t) => [t.id, t.amount, t.name, t.memo]),
+    [['PP8-T1107', -100, 'refund', 'PP8 // reversal of:PP1']]
+  );
+  assert.deepEqual(JSON.parse(JSON.stringify(res.heldTxns)), {
+    PP6: {date: '2024-01-12T15:00:00+0000', currency: 'USD'},
+  });
+  // It's up to the caller to save the held transactions.
+  assert.equal(first.properties.paypal_held_txns, undefined);
+
+  // It's reported in the statement that covers the day it completed.
+  const second = makeAppsScript({
+    properties: {
+      ...first.properties,
+      paypal_held_txns: JSON.stringify(res.heldTxns),
+    },
+    routes: [
+      {method: 'get', url: /\/v1\/reporting\/transactions\?.*transaction_id=PP6/,
+        responses: [{body: fixture('paypal/transaction_completed.json')}]},
+      {method: 'get', url: /\/v1\/reporting\/transactions\?/,
+        responses: [{body: {
+          transaction_details: [],
+          account_number: 'ABCD1234',
+          start_date: '2024-01-20T00:00:00+0000',
+          end_date: '2024-01-31T23:59:59+0000',
+          last_refreshed_datetime: '2024-02-01T21:59:59+0000',
+          page: 1,
+          total_pages: 1,
+        }}]},
+      ...paypalRoutes(),
+    ],
+    now: '2024-02-02T00:00:00Z',
+  });
+
+  res = second.run(`paypal_makeReportOfx(
+    '2024-01-20T00:00:00Z', '2024-02-01T00:00:00Z', 'USD', 'gross', true)`);
+
+  const ofx = readOfx(second, res.ofx);
+  assert.deepEqual(
+    ofx.txns.map((t) => [t.id, t.amount, t.date]),
+    [['PP6-T0006', 20, Date.parse('2024-01-25T15:00:00Z')]]
+  );
+  assert.deepEqual(JSON.parse(JSON.stringify(res.heldTxns)), {});
+});
+
+
+test('paypal_makeReportOfx reports held transactions that completed before it starts, and alerts on lost ones', () => {
+  const gas = makeAppsScript({
+    properties: {
+      ...PAYPAL_PROPERTIES,
+      alert_recipients_list: 'ops@example.org',
+      paypal_held_txns: JSON.stringify({
+        PP6: {date: '2024-01-12T15:00:00+0000', currency: 'USD'},
+        PP9: {date: '2024-01-13T15:00:00+0000', currency: 'USD'},
+      }),
+    },
+    routes: [
+      {method: 'get', url: /\/v1\/reporting\/transactions\?.*transaction_id=PP6/,
+        responses: [{body: fixture('paypal/transaction_completed.json')}]},
+      {method: 'get', url: /\/v1\/reporting\/transactions\?/,
+        responses: [{body: {
+          transaction_details: [],
+          account_number: 'ABCD1234',
+          start_date: '2024-01-26T00:00:00+0000',
+          end_date: '2024-01-31T23:59:59+0000',
+          last_refreshed_datetime: '2024-02-01T21:59:59+0000',
+          page: 1,
+          total_pages: 1,
+        }}]},
+      ...paypalRoutes(),
+    ],
+    now: '2024-02-02T00:00:00Z',
+  });
+
+  const res = gas.run(`paypal_makeReportOfx(
+    '2024-01-26T00:00:00Z', '2024-02-01T00:00:00Z', 'USD', 'gross', true)`);
+
+  // PP6 completed the day before this statement starts, after the last one
+  // was made, so it's reported here rather than never.
+  assert.deepEqual(
+    readOfx(gas, res.ofx).txns.map((t) => [t.id, t.amount, t.date]),
+    [['PP6-T0006', 20, Date.parse('2024-01-25T15:00:00Z')]]
+  );
+  assert.deepEqual(JSON.parse(JSON.stringify(res.heldTxns)), {});
+
+  // PayPal doesn't know about PP9 anymore, so someone has to look into it.
+  assert.equal(gas.emails.length, 1);
+  assert.equal(gas.emails[0].to, 'ops@example.org');
+  assert.match(gas.emails[0].htmlBody, /Held PayPal transaction PP9 from 2024-01-13T15:00:00\+0000/);
+});
+
+
+test('paypal_makeReportOfx reports pending transactions right away if asked', () => {
+  const gas = makeAppsScript({
+    properties: {...PAYPAL_PROPERTIES, paypal_pending: 'include'},
+    routes: [
+      {method: 'get', url: /\/v1\/reporting\/transactions\?/,
+        responses: [{body: fixture('paypal/transactions_status.json')}]},
+      ...paypalRoutes(),
+    ],
+    now: '2024-01-21T00:00:00Z',
+  });
+
+  const res = gas.run(`paypal_makeReportOfx(
+    '2024-01-01T00:00:00-05:00', '2024-01-20T00:00:00Z', 'USD', 'gross')`);
+
+  assert.deepEqual(
+    readOfx(gas, res.ofx).txns.map((t) => t.id),
+    ['PP6-T0006', 'PP8-T1107']
+  );
+  assert.deepEqual(JSON.parse(JSON.stringify(res.heldTxns)), {});
+});
+
+
+test('paypal_makeReportOfx returns null when no new data is available', () => {
+  const gas = makeAppsScript({
+    properties: PAYPAL_PROPERTIES,
+    routes: paypalRoutes({startDateTooNew: true}),
+    now: '2024-01-21T02:00:00Z',
+  });
+
+  const res = gas.run(`paypal_makeReportOfx('2024-01-21T00:00:00Z')`);
+
+  assert.equal(res, null);
+});
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Square.
+ */
+
+test('square_makeReportOfx reports payments, refunds and payouts in gross mode', () => {
+  const gas = makeAppsScript({
+    properties: SQUARE_PROPERTIES,
+    routes: squareRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  const res = gas.run(`square_makeReportOfx(
+    '2024-01-01T00:00:00-05:00', '2024-02-01T00:00:00-05:00', 'USD', 'gross')`);
+
+  // The balance is only estimated, as the net amount since the last payout.
+  assert.equal(res.openingBalance, null);
+  assert.equal(res.balance, 9.42);
+  assert.equal(res.balanceIsEstimate, true);
+  assert.equal(res.numTxns, 4);
+
+  const ofx = readOfx(gas, res.ofx);
+  assert.equal(ofx.acctId, 'MERCHANT1');
+  assert.deepEqual(
+    ofx.txns.map((t) => [t.id, t.type, t.amount, t.name]),
+    [
+      ['pay_1', 'PAYMENT', 50, 'Ada Lovelace'],
+      ['pay_1-1', 'FEE', -1.75, 'Square processing fees'],
+      ['po_1', 'XFER', -77.08, 'withdrawal to bank'],
+      ['pay_2', 'PAYMENT', 20, 'payment'],
+      ['pay_2-1', 'FEE', -0.88, 'Square processing fees'],
+      ['ref_1', 'DEBIT', -10, 'refund'],
+      ['ref_1-1', 'FEE', 0.3, 'Square processing fees'],
+    ]
+  );
+  assert.deepEqual(
+    ofx.txns.filter((t) => !t.id.endsWith('-1')).map((t) => t.memo),
+    [
+      'ada@example.com // pay_1 // ORDER:order_1',
+      'po_1 // BANK:bact_1',
+      'pay_2 // Two widgets // PAYER:cust_2',
+      'ref_1 // for:pay_1 // Damaged in shipping',
+    ]
+  );
+
+  // The second page of payments was asked for by its cursor.
+  assert.ok(gas.requests.some((r) => /\/v2\/payments\?.*cursor=page2/.test(r.url)));
+});
+
+
+test('square_makeReportOfx nets refund fees in net mode', () => {
+  const gas = makeAppsScript({
+    properties: SQUARE_PROPERTIES,
+    routes: squareRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  const res = gas.run(`square_makeReportOfx(
+    '2024-01-01T00:00:00-05:00', '2024-02-01T00:00:00-05:00', 'USD', 'net')`);
+
+  const ofx = readOfx(gas, res.ofx);
+  assert.deepEqual(
+    ofx.txns.map((t) => [t.id, t.amount]),
+    [['pay_1', 48.25], ['po_1', -77.08], ['pay_2', 19.12], ['ref_1', -9.7]]
+  );
+});
+
+
+test('main_doSinceLast_ sends Square statements with payouts when blocking on mismatches', () => {
+  const closing = JSON.stringify({
+    USD: {endDate: '2024-01-01T05:00:00.000Z', balance: 28.83},
+  });
+  const gas = makeAppsScript({
+    properties: {
+      ...SQUARE_PROPERTIES,
+      block_on_balance_mismatch: 'true',
+      square_since_previous_startdate: '2024-01-01T00:00:00-05:00',
+      square_closing_balances: closing,
+    },
+    routes: squareRoutes({payouts: 'square/payouts_partial.json'}),
+    now: '2024-02-01T05:00:00Z',
+  });
+
+  gas.run(`main_doSinceLast_('Square')`);
+
+  // Payout po_1 left $2.08 behind, so the balance after it doesn't follow
+  // from the one before. It's only an estimate, so it isn't checked, and the
+  // statement still goes out.
+  assert.equal(gas.emails.length, 1);
+  assert.doesNotMatch(gas.emails[0].htmlBody, /WARNING|Opening Balance/);
+  assert.match(gas.emails[0].htmlBody, /<th>Balance \(USD\)<\/th><td>\$9\.42<\/td>/);
+  assert.equal(gas.properties.square_closing_balances, closing);
+});
+
+
+test('square_makeReportOfx returns null when the start date is in the future', () => {
+  const gas = makeAppsScript({
+    properties: SQUARE_PROPERTIES,
+    routes: squareRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  assert.equal(gas.run(`square_makeReportOfx(
+    '2024-02-03T00:00:00Z', '2024-02-04T00:00:00Z')`), null);
+});
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Statement formats.
+ */
+
+// A small statement with text that each format has to escape.
+const STATEMENT = {
+  reportDate: Date.parse('2024-02-01T12:00:00Z'),
+  startDate: Date.parse('2024-01-01T00:00:00Z'),
+  endDate: Date.parse('2024-02-01T00:00:00Z'),
+  bankId: 'Stripe',
+  acctId: 'acct_1',
+  currency: 'USD',
+  balance: 90,
+  txns: [
+    {type: 'payment', date: Date.parse('2024-01-05T15:00:00Z'), amount: 100,
+      id: 'txn_1', name: 'Smith, Jones & Co', memo: 'Order "A<1>"\nthanks'},
+    {type: 'FEE', date: Date.parse('2024-01-06T15:00:00Z'), amount: -10,
+      id: 'txn_1-1', name: '', memo: ''},
+  ],
+};
+
+// Runs the given expression inside the sandbox, with the statement above
+// available as __stmt.
+function runWithStatement(gas, code) {
+  gas.run('globalThis').__stmt = STATEMENT;
+  return gas.run(code);
+}
+
+
+test('csv_makeStatement writes a header and quotes fields that need it', () => {
+  const gas = makeAppsScript();
+
+  const csv = runWithStatement(gas, `csv_makeStatement(__stmt, 'UTC')`);
+
+  assert.equal(csv,
+    'Date,Type,Amount,Currency,ID,Name,Memo\r\n'
+    + '2024-01-05 15:00:00,PAYMENT,100.00,USD,txn_1,"Smith, Jones & Co",'
+    + '"Order ""A<1>""\nthanks"\r\n'
+    + '2024-01-06 15:00:00,FEE,-10.00,USD,txn_1-1,,\r\n');
+});
+
+
+test('csv_makeStatement keeps text from being read as a formula', () => {
+  const gas = makeAppsScript();
+  gas.run('globalThis').__stmt = {
+    ...STATEMENT,
+    txns: [{
+      ...STATEMENT.txns[1],
+      name: '=HYPERLINK("http://evil.example","Click")',
+      memo: '@SUM(A1:A9)',
+    }, {
+      ...STATEMENT.txns[1],
+      id: '+txn_2',
+      name: '-1+1',
+      memo: 'refund -1',
+    }],
+  };
+
+  const csv = gas.run(`csv_makeStatement(__stmt, 'UTC')`);
+
+  // Negative amounts are still numbers.
+  assert.equal(csv,
+    'Date,Type,Amount,Currency,ID,Name,Memo\r\n'
+    + `2024-01-06 15:00:00,FEE,-10.00,USD,txn_1-1,`
+    + `"'=HYPERLINK(""http://evil.example"",""Click"")",'@SUM(A1:A9)\r\n`
+    + `2024-01-06 15:00:00,FEE,-10.00,USD,'+txn_2,'-1+1,refund -1\r\n`);
+});
+
+
+test('qif_makeStatement writes a bank register with one line per field', () => {
+  const gas = makeAppsScript();
+
+  const qif = runWithStatement(gas, `qif_makeStatement(__stmt, 'UTC')`);
+
+  assert.equal(qif,
+    '!Type:Bank\n'
+    + 'D01/05/2024\nT100.00\nNtxn_1\nPSmith, Jones & Co\n'
+    + 'MOrder "A<1>" thanks\n^\n'
+    + 'D01/06/2024\nT-10.00\nNtxn_1-1\n^\n');
+});
+
+
+
+test('ofx_makeStatement writes OFX 2.x files that read back the same', () => {
+  const gas = makeAppsScript();
+
+  for (const version of ['211', '220']) {
+    const str = runWithStatement(gas, `ofx_makeStatement(__stmt, '${version}')`);
+    assert.match(str, /^<\?xml version="1\.0"/);
+    assert.match(str, /<TRNAMT>100\.00<\/TRNAMT>/);
+
+    const ofx = readOfx(gas, str);
+    assert.equal(ofx.version, version);
+    assert.equal(ofx.acctId, 'acct_1');
+    assert.deepEqual(ofx.balance, {amount: 90, date: STATEMENT.endDate});
+    assert.deepEqual(
+      ofx.txns.map((t) => [t.type, t.date, t.amount, t.id, t.name, t.memo]),
+      [
+        ['PAYMENT', Date.parse('2024-01-05T15:00:00Z'), 100, 'txn_1',
+          'Smith, Jones & Co', 'Order "A<1>"\nthanks'],
+        ['FEE', Date.parse('2024-01-06T15:00:00Z'), -10, 'txn_1-1',
+          undefined, undefined],
+      ]
+    );
+  }
+});
+
+
+test('ofx_makeStatement leaves out NAME and MEMO that are only whitespace', () => {
+  const gas = makeAppsScript();
+  gas.run('globalThis').__stmt = {
+    ...STATEMENT,
+    txns: [
+      {...STATEMENT.txns[0], name: '  ', memo: ' \n '},
+      {...STATEMENT.txns[1], name: ' Ada Lovelace ', memo: ' // fifty'},
+    ],
+  };
+
+  for (const version of ['102', '220']) {
+    const str = gas.run(`ofx_makeStatement(__stmt, '${version}')`);
+    assert.doesNotMatch(str, /<NAME>\s*(<|$)/m);
+
+    const ofx = readOfx(gas, str);
+    assert.deepEqual(
+      ofx.txns.map((t) => [t.name, t.memo]),
+      [[undefined, undefined], ['Ada Lovelace', '// fifty']]
+    );
+  }
+});
+
+
+test('ofx_reader_parse reads elements with no data', () => {
+  const gas = makeAppsScript();
+
+  // SGML has no end tag to tell an empty element from an aggregate.
+  const sgml = runWithStatement(gas, `ofx_makeStatement(__stmt, '102')`)
+    .replace('<NAME>Smith, Jones &amp; Co', '<NAME>');
+  assert.deepEqual(readOfx(gas, sgml).txns.map((t) => t.name), ['', undefined]);
+
+  const xml = runWithStatement(gas, `ofx_makeStatement(__stmt, '220')`)
+    .replace('<NAME>Smith, Jones &amp; Co</NAME>', '<NAME></NAME>');
+  assert.deepEqual(readOfx(gas, xml).txns.map((t) => t.name), ['', undefined]);
+
+  // XML elements still need their end tags.
+  const unclosed = xml.replace('<NAME></NAME>', '<NAME>');
+  gas.run('globalThis').__ofx = unclosed;
+  assert.match(gas.run('ofx_reader_validate(__ofx)').join('\n'),
+    /unexpected end tag <\/STMTTRN>, expected <\/NAME>/);
+});
+
+
+test('ofx_reader_validate finds each kind of problem', () => {
+  const gas = makeAppsScript();
+  const str = runWithStatement(gas, `ofx_makeStatement(__stmt, '102')`);
+  const problems = (ofx) => {
+    gas.run('globalThis').__ofx = ofx;
+    return Array.from(gas.run('ofx_reader_validate(__ofx)'));
+  };
+
+  assert.deepEqual(problems(str), []);
+
+  assert.deepEqual(problems(str.replace('<FITID>txn_1-1', '<FITID>txn_1')),
+    ['transaction #2 (FITID txn_1) has a duplicate FITID.']);
+
+  const longName = 'Smith, Jones, Brown, Taylor and Co';
+  assert.deepEqual(problems(str.replace('Smith, Jones &amp; Co', longName)), [
+    'OFX/BANKMSGSRSV1/STMTTRNRS/STMTRS/BANKTRANLIST/STMTTRN/NAME is longer '
+      + `than 32 characters: '${longName}'.`,
+  ]);
+
+  // SGML only has three entities, and a bare & isn't allowed.
+  for (const name of ['Smith, Jones & Co', 'Smith, Jones &apos; Co']) {
+    assert.deepEqual(problems(str.replace('Smith, Jones &amp; Co', name)), [
+      'OFX/BANKMSGSRSV1/STMTTRNRS/STMTRS/BANKTRANLIST/STMTTRN/NAME contains '
+        + `unescaped characters or an invalid entity: '${name}'.`,
+    ]);
+  }
+
+  assert.deepEqual(
+    problems(str.replace(/<DTSTART>\d+/, '<DTSTART>20240301000000')),
+    ['DTSTART is later than DTEND.']
+  );
+
+  assert.deepEqual(problems(str.replace('<TRNTYPE>FEE', '<TRNTYPE>REFUND')),
+    ["transaction #2 (FITID txn_1-1) has invalid TRNTYPE 'REFUND'."]);
+
+  // Every problem is listed when the file is rejected.
+  gas.run('globalThis').__ofx = str
+    .replace('<FITID>txn_1-1', '<FITID>txn_1')
+    .replace('<TRNTYPE>FEE', '<TRNTYPE>REFUND');
+  assert.throws(() => gas.run(`ofx_reader_assertValid(__ofx, 'Stripe_USD.ofx')`),
+    /Stripe_USD\.ofx is not a valid OFX file:\n  .*TRNTYPE 'REFUND'\.\n  .*duplicate FITID\./);
+});
+
+
+test('ofx_makeBlob names the OFX version in the MIME type', () => {
+  const gas = makeAppsScript();
+
+  assert.deepEqual(
+    JSON.parse(gas.run(`JSON.stringify(['102', '211', '220'].map((v) =>
+      ofx_makeBlob('', 'statement', v).getContentType()))`)),
+    [
+      'application/x-ofx;version="1.0.2"',
+      'application/x-ofx;version="2.1.1"',
+      'application/x-ofx;version="2.2"',
+    ]
+  );
+});
+
+
+
+test('ofx_makeQboStatement identifies the bank for QuickBooks', () => {
+  const gas = makeAppsScript();
+
+  const str = runWithStatement(gas,
+    `ofx_makeQboStatement(__stmt, ' 3000 ', '021000021')`);
+
+  const ofx = readOfx(gas, str);
+  assert.equal(ofx.version, '102');
+  assert.deepEqual(ofx.fi, {org: 'Stripe', intuBid: '3000'});
+  assert.equal(ofx.bankId, '021000021');
+  assert.equal(ofx.acctId, 'acct_1');
+  assert.match(str,
+    /<FI><ORG>Stripe<FID>3000<\/FI>\n<INTU\.BID>3000\n<\/SONRS>/);
+  assert.equal(
+    gas.run(`ofx_makeQboBlob('', 'statement').getContentType()`),
+    'application/vnd.intu.qbo'
+  );
+});
+
+
+test('ofx_makeQboStatement rejects a bad Intuit bank ID or routing number', () => {
+  const gas = makeAppsScript();
+
+  for (const intuBid of ['', '30a0', '1234567890']) {
+    assert.throws(
+      () => runWithStatement(gas,
+        `ofx_makeQboStatement(__stmt, '${intuBid}', '021000021')`),
+      /Intuit bank ID .* is not valid, it must be a number with at most 9 digits/
+    );
+  }
+  for (const bankId of ['021000022', '02100002', 'abcdefghi']) {
+    assert.throws(
+      () => runWithStatement(gas,
+        `ofx_makeQboStatement(__stmt, '3000', '${bankId}')`),
+      /is not a valid ABA routing number/
+    );
+  }
+});
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Entry points.
+ */
+
+test('main_doSinceLast_ emails a statement and advances the start date', () => {
+  const gas = makeAppsScript({
+    properties: STRIPE_PROPERTIES,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  gas.run(`main_doSinceLast_('Stripe')`);
+
+  assert.equal(gas.emails.length, 1);
+  const email = gas.emails[0];
+  assert.equal(email.to, 'books@example.org');
+  assert.equal(email.subject,
+    '[Google Bot] Stripe statement since 2024-01-01 00:00:00 EST');
+  assert.match(email.htmlBody, /<th>Balance \(USD\)<\/th><td>\$125\.50<\/td>/);
+  assert.match(email.htmlBody, /<th>Transactions \(USD\)<\/th><td>3<\/td>/);
+
+  // Statements are named after the date the data was current as of, in the
+  // script's timezone.
+  assert.equal(email.attachments.length, 1);
+  const blob = email.attachments[0];
+  assert.equal(blob.getName(), 'Stripe_USD_20240131_190000.ofx');
+  const ofx = readOfx(gas, blob.getDataAsString());
+  assert.equal(ofx.txns.length, 3);
+
+  // No previous run, so the report started at the beginning of the year.
+  const startRequest = gas.requests.find((r) => /balance_transactions/.test(r.url));
+  assert.match(startRequest.url,
+    new RegExp('created%5Bgte%5D=' + Date.parse('2024-01-01T00:00:00-05:00') / 1000));
+
+  // Next report starts where this one ended.
+  assert.equal(
+    new Date(gas.properties.stripe_since_previous_startdate).getTime(),
+    Date.parse('2024-02-01T00:00:00Z')
+  );
+});
+
+
+test('main_doReport_ sends one statement per currency the account holds', () => {
+  const gas = makeAppsScript({
+    properties: {...STRIPE_PROPERTIES, mode: 'gross'},
+    routes: stripeRoutes({jpy: true}),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  gas.run(`main_doReport_('Stripe', '2024-01-01T00:00:00-05:00')`);
+
+  // No currencies are set, so they're looked up from the balance.
+  assert.equal(gas.emails.length, 1);
+  const email = gas.emails[0];
+  assert.deepEqual(Array.from(email.attachments, (b) => b.getName()), [
+    'Stripe_JPY_20240131_190000.ofx',
+    'Stripe_USD_20240131_190000.ofx',
+  ]);
+  assert.match(email.htmlBody, /<th>Balance \(JPY\)<\/th><td>¥2,900<\/td>/);
+  assert.match(email.htmlBody, /<th>Pending \(JPY\)<\/th><td>¥2,900<\/td>/);
+  assert.match(email.htmlBody, /<th>Transactions \(JPY\)<\/th><td>1<\/td>/);
+  assert.match(email.htmlBody, /<th>Balance \(USD\)<\/th><td>\$125\.50<\/td>/);
+  assert.match(email.htmlBody, /<th>Transactions \(USD\)<\/th><td>3<\/td>/);
+  assert.doesNotMatch(email.htmlBody, /WARNING/);
+
+  // Yen amounts aren't divided by 100 like cents.
+  const jpy = readOfx(gas, email.attachments[0].getDataAsString());
+  assert.equal(jpy.currency, 'JPY');
+  assert.equal(jpy.balance.amount, 2900);
+  assert.deepEqual(
+    jpy.txns.map((t) => [t.id, t.amount]),
+    [['txn_jpy_1', 3000], ['txn_jpy_1-1', -100]]
+  );
+
+  const usd = readOfx(gas, email.attachments[1].getDataAsString());
+  assert.equal(usd.currency, 'USD');
+  assert.equal(usd.balance.amount, 125.5);
+  assert.equal(usd.txns.filter((t) => !t.id.includes('-')).length, 3);
+
+  // Each currency's transactions were asked for separately.
+  const lists = gas.requests.filter((r) => /balance_transactions/.test(r.url));
+  assert.ok(lists.some((r) => /currency=jpy/.test(r.url)));
+  assert.ok(lists.some((r) => /currency=usd/.test(r.url)));
+});
+
+
+test('main_doSinceLast_ reports on a Stripe Connect account separately', () => {
+  const gas = makeAppsScript({
+    properties: {
+      ...STRIPE_PROPERTIES,
+      stripe_connected_accounts: 'acct_1Conn',
+    },
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  gas.run(`main_doSinceLast_('Stripe acct_1Conn')`);
+
+  // Every request was made on behalf of the connected account.
+  assert.ok(gas.requests.length > 0);
+  for (const r of gas.requests) {
+    assert.equal(r.options.headers['Stripe-Account'], 'acct_1Conn', r.url);
+  }
+
+  assert.equal(gas.emails.length, 1);
+  const blob = gas.emails[0].attachments[0];
+  assert.equal(blob.getName(), 'Stripe acct_1Conn_USD_20240131_190000.ofx');
+  assert.equal(readOfx(gas, blob.getDataAsString()).acctId, 'acct_1Conn');
+
+  // The connected account keeps its own start date.
+  assert.equal(
+    new Date(gas.properties.stripe_acct_1conn_since_previous_startdate).getTime(),
+    Date.parse('2024-02-01T00:00:00Z')
+  );
+  assert.equal(gas.properties.stripe_since_previous_startdate, undefined);
+});
+
+
+test('doAllSinceLast reports on each profile with its own settings', () => {
+  const gas = makeAppsScript({
+    properties: {
+      email_recipients_list: 'books@example.org',
+      profiles: 'Acme',
+      'acme.paypal_client_id': 'acme-id',
+      'acme.paypal_client_secret': 'acme-secret',
+      'acme.email_recipients_list': 'acme@example.org',
+      'acme.paypal_account_id': 'ACME-PAYPAL',
+    },
+    routes: paypalRoutes(),
+    now: '2024-01-21T00:00:00Z',
+  });
+
+  // The default account has no credentials, so only the profile is reported.
+  gas.run('doAllSinceLast()');
+
+  assert.equal(gas.emails.length, 1);
+  const email = gas.emails[0];
+  assert.equal(email.to, 'acme@example.org');
+  assert.match(email.subject, /acme PayPal statement/);
+  const ofx = readOfx(gas, email.attachments[0].getDataAsString());
+  assert.equal(ofx.acctId, 'ACME-PAYPAL');
+
+  // The profile's token and state are stored under its name.
+  assert.equal(gas.properties['acme.paypal_access_token'], 'fresh-token');
+  assert.equal(gas.properties.paypal_access_token, undefined);
+  assert.ok(gas.properties['acme.paypal_since_previous_startdate']);
+  assert.equal(gas.properties.paypal_since_previous_startdate, undefined);
+});
+
+
+test('main_doSinceLast_ never sends a profile\'s statements to the default recipients', () => {
+  const gas = makeAppsScript({
+    properties: {
+      email_recipients_list: 'books@example.org',
+      profiles: 'Acme',
+      'acme.paypal_client_id': 'acme-id',
+      'acme.paypal_client_secret': 'acme-secret',
+      'acme.paypal_account_id': 'ACME-PAYPAL',
+    },
+    routes: paypalRoutes(),
+    now: '2024-01-21T00:00:00Z',
+  });
+
+  assert.throws(() => gas.run(`main_doSinceLast_('acme PayPal')`),
+    /set the script property acme\.email_recipients_list/);
+  assert.equal(gas.emails.length, 0);
+  assert.equal(gas.properties['acme.paypal_since_previous_startdate'], undefined);
+});
+
+
+test('main_doSinceLast_ waits for the next trigger when no data is available', () => {
+  const previous = new Date('2024-02-01T00:00:00Z').toString();
+  const gas = makeAppsScript({
+    properties: {
+      ...STRIPE_PROPERTIES,
+      stripe_since_previous_startdate: previous,
+    },
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  gas.run(`main_doSinceLast_('Stripe')`);
+
+  assert.equal(gas.emails.length, 0);
+  assert.equal(gas.properties.stripe_since_previous_startdate, previous);
+});
+
+
+test('main_doSinceLast_ archives statements to Drive and can re-send them', () => {
+  const gas = makeAppsScript({
+    properties: {
+      ...STRIPE_PROPERTIES,
+      formats: 'ofx,csv',
+    },
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+  const folder = gas.drive.createFolder('Statements');
+  gas.properties.archive_folder_id = folder.getId();
+
+  gas.run(`main_doSinceLast_('Stripe')`);
+
+  // Filed under the source, then the year and month the statement starts in.
+  const month = gas.drive.getFolderById(folder.getId())
+    .getFoldersByName('Stripe').next()
+    .getFoldersByName('2024').next()
+    .getFoldersByName('01').next();
+  const names = [];
+  for (const it = month.getFiles(); it.hasNext();) {
+    names.push(it.next().getName());
+  }
+  assert.deepEqual(names,
+    ['Stripe_USD_20240131_190000.ofx', 'Stripe_USD_20240131_190000.csv']);
+  assert.match(gas.emails[0].htmlBody,
+    /Archived to Google Drive: <a href="https:\/\/drive\.google\.com\/file\/d\/file\d+\/view">Stripe_USD_20240131_190000\.ofx<\/a>/);
+
+  // Only statements overlapping the requested interval are re-sent.
+  gas.run(`resendArchivedStatements('2024-03-01T00:00:00Z', '2024-04-01T00:00:00Z')`);
+  assert.equal(gas.emails.length, 1);
+
+  gas.run(`resendArchivedStatements('2024-01-15T00:00:00Z', '2024-01-16T00:00:00Z', 'Stripe')`);
+  assert.equal(gas.emails.length, 2);
+  assert.deepEqual(Array.from(gas.emails[1].attachments, (b) => b.getName()),
+    ['Stripe_USD_20240131_190000.csv', 'Stripe_USD_20240131_190000.ofx']);
+});
+
+
+test('resendArchivedStatements sends each profile\'s statements to its own recipients', () => {
+  const gas = makeAppsScript({
+    properties: {
+      ...STRIPE_PROPERTIES,
+      profiles: 'Acme',
+      'acme.paypal_client_id': 'acme-id',
+      'acme.paypal_client_secret': 'acme-secret',
+      'acme.email_recipients_list': 'acme@example.org',
+    },
+    routes: [...stripeRoutes(), ...paypalRoutes()],
+    now: '2024-01-21T00:00:00Z',
+  });
+  const folder = gas.drive.createFolder('Statements');
+  gas.properties.archive_folder_id = folder.getId();
+
+  gas.run(`main_doSinceLast_('acme PayPal')`);
+  gas.run(`Date.now = () => ${Date.parse('2024-02-02T12:00:00Z')}`);
+  gas.run(`main_doSinceLast_('Stripe')`);
+  assert.equal(gas.emails.length, 2);
+
+  gas.run(`resendArchivedStatements('2024-01-01T00:00:00Z', '2024-02-02T00:00:00Z')`);
+
+  const resent = gas.emails.slice(2).map((e) => ({
+    to: e.to,
+    names: Array.from(e.attachments, (b) => b.getName()),
+  }));
+  assert.deepEqual(resent.map((e) => e.to).sort(),
+    ['acme@example.org', 'books@example.org']);
+  for (const e of resent) {
+    const prefix = e.to === 'acme@example.org' ? 'acme PayPal_' : 'Stripe_';
+    assert.ok(e.names.length > 0);
+    assert.ok(e.names.every((name) => name.startsWith(prefix)), e.names.join());
+  }
+});
+
+
+test('main_doSinceLast_ appends transactions to the ledger without duplicates', () => {
+  const gas = makeAppsScript({
+    properties: STRIPE_PROPERTIES,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+  const ss = gas.sheets.create('Ledger');
+  gas.properties.ledger_spreadsheet_id = ss.getId();
+
+  gas.run(`main_doSinceLast_('Stripe')`);
+
+  const txns = ss.getSheetByName('Transactions').rows;
+  assert.deepEqual(Array.from(txns[0]), [
+    'Date', 'Source', 'Currency', 'Type', 'Gross', 'Fee', 'Net', 'FITID',
+    'Name', 'Memo', 'Category'
+  ]);
+  assert.equal(txns.length, 4);
+  assert.ok(txns.slice(1).every((row) => row[1] === 'Stripe' && row[2] === 'USD'));
+  for (const row of txns.slice(1)) {
+    assert.equal(Math.round((row[4] + row[5]) * 100), Math.round(row[6] * 100));
+  }
+  assert.match(gas.emails[0].htmlBody,
+    /Added 3 transaction\(s\) to the <a href="https:\/\/docs\.google\.com\/spreadsheets\/d\/spreadsheet\d+\/edit">ledger<\/a>/);
+
+  const balances = ss.getSheetByName('Balances').rows;
+  assert.equal(balances.length, 2);
+  assert.deepEqual(Array.from(balances[1].slice(1, 4)), ['Stripe', 'USD', 125.5]);
+
+  // Running the same period again doesn't add anything.
+  delete gas.properties.stripe_since_previous_startdate;
+  gas.run(`main_doSinceLast_('Stripe')`);
+
+  assert.equal(ss.getSheetByName('Transactions').rows.length, 4);
+  assert.equal(ss.getSheetByName('Balances').rows.length, 2);
+  assert.match(gas.emails[1].htmlBody, /Added 0 transaction\(s\)/);
+});
+
+
+test('main_doSinceLast_ keeps ledger names and memos from being read as formulas', () => {
+  const gas = makeAppsScript({
+    properties: {
+      ...STRIPE_PROPERTIES,
+      stripe_name_template: '=HYPERLINK("x.io","{id}")',
+      stripe_memo_template: '+{reporting_category}',
+    },
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+  const ss = gas.sheets.create('Ledger');
+  gas.properties.ledger_spreadsheet_id = ss.getId();
+
+  gas.run(`main_doSinceLast_('Stripe')`);
+
+  const txns = ss.getSheetByName('Transactions').rows;
+  assert.deepEqual(Array.from(txns[1].slice(7, 10)), [
+    'txn_1', `'=HYPERLINK("x.io","txn_1")`, "'+charge",
+  ]);
+  // Amounts are still numbers.
+  assert.equal(txns[3][4], -10);
+});
+
+
+test('main_doSinceLast_ applies rules from script properties and a sheet', () => {
+  const gas = makeAppsScript({
+    properties: {
+      ...STRIPE_PROPERTIES,
+      rules: JSON.stringify([
+        {rule: 'Payouts', source: 'stripe', match: {reporting_category: 'payout'},
+          name: 'Bank transfer', tag: 'payout'},
+        {rule: 'PayPal only', source: 'paypal', tag: 'paypal'},
+      ]),
+    },
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+  const ss = gas.sheets.create('Rules');
+  ss.insertSheet('Rules').rows.push(
+    ['Rule', 'Source', 'Field', 'Pattern', 'Min Amount', 'Max Amount', 'Name',
+      'Tag', 'Type'],
+    ['Widget sales', '', 'description', '/widget/i', 40, '',
+      '{source.billing_details.email}', 'sales', 'credit'],
+  );
+  gas.properties.rules_spreadsheet_id = ss.getId();
+
+  gas.run(`main_doSinceLast_('Stripe')`);
+
+  const email = gas.emails[0];
+  const ofx = readOfx(gas, email.attachments[0].getDataAsString());
+  assert.deepEqual(
+    ofx.txns.map((t) => [t.id, t.type, t.name, t.memo.split(' // ').pop()]),
+    [
+      ['txn_1', 'CREDIT', 'ada@example.com', 'sales'],
+      ['txn_2', 'XFER', 'Bank transfer', 'payout'],
+      ['txn_3', 'DEBIT', 'balance_transaction', 're_1'],
+    ]
+  );
+
+  assert.match(email.htmlBody, /Rules matched 2 of 3 transaction\(s\)/);
+  assert.match(email.htmlBody, /<td>Bank transfer<\/td><td>-\$30\.00<\/td><td>Payouts<\/td>/);
+  assert.match(email.htmlBody, /<td>balance_transaction<\/td><td>-\$10\.00<\/td><td>none<\/td>/);
+});
+
+
+test('main_doSinceLast_ leaves the rules out of the email when none apply to the source', () => {
+  for (const [name, properties, routes, now] of [
+    ['Stripe', STRIPE_PROPERTIES, stripeRoutes(), '2024-02-02T12:00:00Z'],
+    ['PayPal', PAYPAL_PROPERTIES, paypalRoutes(), '2024-01-21T00:00:00Z'],
+  ]) {
+    const gas = makeAppsScript({
+      properties: {
+        ...properties,
+        rules: JSON.stringify([{rule: 'Square only', source: 'square', tag: 'sq'}]),
+      },
+      routes: routes,
+      now: now,
+    });
+
+    gas.run(`main_doSinceLast_('${name}')`);
+
+    assert.equal(gas.emails.length, 1);
+    assert.doesNotMatch(gas.emails[0].htmlBody, /Rules matched/, name);
+  }
+});
+
+
+test('main_doSinceLast_ limits rules to a source by its registry key', () => {
+  const properties = {
+    ...STRIPE_PROPERTIES,
+    stripe_connected_accounts: 'acct_1Conn',
+    rules: JSON.stringify([
+      {rule: 'Connected payouts', source: 'stripe_acct_1conn',
+        match: {reporting_category: 'payout'}, tag: 'connected'},
+      {rule: 'Any Stripe', source: 'Stripe', tag: 'stripe'},
+    ]),
+  };
+  const tags = (gas) => readOfx(gas, gas.emails[0].attachments[0].getDataAsString())
+    .txns.map((t) => t.memo.split(' // ').pop());
+
+  // Rules for 'stripe' apply to connected accounts too.
+  const connected = makeAppsScript({
+    properties: properties,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+  connected.run(`main_doSinceLast_('Stripe acct_1Conn')`);
+  assert.deepEqual(tags(connected), ['stripe', 'connected', 'stripe']);
+
+  const platform = makeAppsScript({
+    properties: properties,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+  platform.run(`main_doSinceLast_('Stripe')`);
+  assert.deepEqual(tags(platform), ['stripe', 'stripe', 'stripe']);
+
+  // A source that isn't registered is a mistake, not a rule that never matches.
+  const typo = makeAppsScript({
+    properties: {
+      ...properties,
+      rules: JSON.stringify([{rule: 'Typo', source: 'stripe_acct_1con', tag: 'x'}]),
+    },
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+  assert.throws(() => typo.run(`main_doSinceLast_('Stripe')`),
+    /Rule 'Typo' is limited to source 'stripe_acct_1con', which isn't registered/);
+});
+
+
+test('rules_get rejects regular expressions that keep state between matches', () => {
+  const gas = makeAppsScript({
+    properties: {
+      rules: JSON.stringify([
+        {rule: 'Widgets', match: {description: '/widget/gi'}, tag: 'sales'},
+      ]),
+    },
+  });
+
+  assert.throws(() => gas.run(`rules_get('stripe')`),
+    /Can't read rule #1 in script property rules: '\/widget\/gi' can't use the 'g' or 'y' flags/);
+});
+
+
+test('main_doSinceLast_ checks balances against the previous statement', () => {
+  const gas = makeAppsScript({
+    properties: STRIPE_PROPERTIES,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  gas.run(`main_doSinceLast_('Stripe')`);
+
+  // Opening balance + transactions = closing balance, and nothing to compare
+  // against yet.
+  const html = gas.emails[0].htmlBody;
+  assert.match(html, /<th>Opening Balance \(USD\)<\/th><td>\$117\.25<\/td>/);
+  assert.match(html, /<th>Available \(USD\)<\/th><td>\$125\.50<\/td>/);
+  assert.match(html, /<th>Pending \(USD\)<\/th><td>\$0\.00<\/td>/);
+  assert.doesNotMatch(html, /Withheld/);
+  assert.doesNotMatch(html, /WARNING/);
+  assert.deepEqual(JSON.parse(gas.properties.stripe_closing_balances), {
+    USD: {endDate: '2024-02-01T00:00:00.000Z', balance: 125.5},
+  });
+});
+
+
+test('main_doSinceLast_ warns about, or blocks, balances that don\'t add up', () => {
+  const properties = {
+    ...STRIPE_PROPERTIES,
+    stripe_since_previous_startdate: '2024-01-01T00:00:00-05:00',
+    stripe_closing_balances: JSON.stringify({
+      USD: {endDate: '2024-01-01T05:00:00.000Z', balance: 100},
+    }),
+  };
+
+  const gas = makeAppsScript({
+    properties: properties,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+  gas.run(`main_doSinceLast_('Stripe')`);
+
+  assert.equal(gas.emails.length, 1);
+  assert.match(gas.emails[0].htmlBody, /WARNING: the balances in this statement don't add up/);
+  assert.match(gas.emails[0].htmlBody,
+    /<li>USD: the previous statement closed at \$100\.00, but this one opens at \$117\.25 \(off by \$17\.25\)\.<\/li>/);
+
+  const blocked = makeAppsScript({
+    properties: {...properties, block_on_balance_mismatch: 'true'},
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+  assert.throws(() => blocked.run(`main_doSinceLast_('Stripe')`),
+    /Stripe statement not sent, balances don't add up:\nUSD: the previous/);
+  assert.equal(blocked.emails.length, 0);
+  assert.equal(blocked.properties.stripe_since_previous_startdate,
+    '2024-01-01T00:00:00-05:00');
+
+  // Only the first line of the error is kept in the journal, since all of
+  // the entries share one script property.
+  const journal = JSON.parse(blocked.properties.stripe_run_journal);
+  assert.equal(journal[0].error,
+    "Stripe statement not sent, balances don't add up:");
+  blocked.run(`journal_update(source_get_('Stripe'), journal_list(
+    source_get_('Stripe'))[0], 'generated', {error: 'x'.repeat(500)})`);
+  assert.equal(
+    JSON.parse(blocked.properties.stripe_run_journal)[0].error.length, 200);
+});
+
+
+test('main_doSinceLast_ skips the run while another report holds the lock', () => {
+  const gas = makeAppsScript({
+    properties: STRIPE_PROPERTIES,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+  gas.lock.heldElsewhere = true;
+
+  gas.run(`main_doSinceLast_('Stripe')`);
+
+  assert.equal(gas.requests.length, 0);
+  assert.equal(gas.emails.length, 0);
+  assert.equal(gas.properties.stripe_run_journal, undefined);
+});
+
+
+test('main_doSinceLast_ re-delivers a report that failed to send', () => {
+  const gas = makeAppsScript({
+    properties: STRIPE_PROPERTIES,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+  const folder = gas.drive.createFolder('Statements');
+  gas.properties.archive_folder_id = folder.getId();
+  const ss = gas.sheets.create('Ledger');
+  gas.properties.ledger_spreadsheet_id = ss.getId();
+  const archived = () => {
+    const month = gas.drive.getFolderById(folder.getId())
+      .getFoldersByName('Stripe').next()
+      .getFoldersByName('2024').next()
+      .getFoldersByName('01').next();
+    const names = [];
+    for (const it = month.getFiles(); it.hasNext();) {
+      names.push(it.next().getName());
+    }
+    return names;
+  };
+
+  gas.run(`globalThis.__sendEmail = MailApp.sendEmail;
+    MailApp.sendEmail = () => { throw new Error('Service unavailable'); };`);
+
+  assert.throws(() => gas.run(`main_doSinceLast_('Stripe')`),
+    /Service unavailable/);
+
+  // Start date stays put until the report is delivered.
+  assert.equal(gas.properties.stripe_since_previous_startdate, undefined);
+  let journal = JSON.parse(gas.properties.stripe_run_journal);
+  assert.equal(journal.length, 1);
+  assert.equal(journal[0].status, 'generated');
+  assert.equal(journal[0].endDate, '2024-02-01T00:00:00.000Z');
+  assert.equal(journal[0].error, 'Service unavailable');
+  assert.equal(journal[0].archived.length, 1);
+  assert.equal(journal[0].ledger.added, 3);
+  assert.equal(gas.lock.held, false);
+  assert.deepEqual(archived(), ['Stripe_USD_20240131_190000.ofx']);
+
+  gas.run(`MailApp.sendEmail = __sendEmail;`);
+  gas.run(`main_doSinceLast_('Stripe')`);
+
+  // The same report is sent, then the new run finds no newer data.
+  assert.equal(gas.emails.length, 1);
+  assert.equal(gas.emails[0].subject,
+    '[Google Bot] Stripe statement since 2024-01-01 00:00:00 EST');
+  assert.equal(
+    new Date(gas.properties.stripe_since_previous_startdate).getTime(),
+    Date.parse('2024-02-01T00:00:00Z')
+  );
+  journal = JSON.parse(gas.properties.stripe_run_journal);
+  assert.deepEqual(journal.map((e) => e.status), ['delivered', 'skipped']);
+  assert.equal(journal[0].error, null);
+  assert.equal(journal[0].archived, undefined);
+
+  // The files archived and the rows added by the failed attempt are reused,
+  // not saved a second time.
+  assert.deepEqual(archived(), ['Stripe_USD_20240131_190000.ofx']);
+  assert.equal(ss.getSheetByName('Transactions').rows.length, 4);
+  assert.match(gas.emails[0].htmlBody,
+    /Archived to Google Drive: <a href="[^"]+">Stripe_USD_20240131_190000\.ofx<\/a>/);
+  assert.match(gas.emails[0].htmlBody, /Added 3 transaction\(s\) to the/);
+});
+
+
+test('main_doSinceLast_ starts over when an undelivered report can\'t be made again', () => {
+  const gas = makeAppsScript({
+    properties: {
+      ...STRIPE_PROPERTIES,
+      // Stripe's data now ends on 2024-02-01, before this run's end date.
+      stripe_run_journal: JSON.stringify([{
+        id: 'run-1',
+        status: 'generated',
+        startDate: '2024-01-01T05:00:00.000Z',
+        endDate: '2024-02-05T00:00:00.000Z',
+        currencies: ['USD'],
+        mode: 'net',
+        error: 'Service unavailable',
+      }]),
+    },
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  gas.run(`main_doSinceLast_('Stripe')`);
+
+  const journal = JSON.parse(gas.properties.stripe_run_journal);
+  assert.deepEqual(journal.map((e) => e.status), ['failed', 'delivered']);
+  assert.match(journal[0].error, /returned different dates/);
+  assert.equal(gas.emails.length, 1);
+  assert.equal(
+    new Date(gas.properties.stripe_since_previous_startdate).getTime(),
+    Date.parse('2024-02-01T00:00:00Z')
+  );
+});
+
+
+test('main_doSinceLast_ only forgets held PayPal transactions once delivered', () => {
+  const held = JSON.stringify({
+    PP6: {date: '2024-01-12T15:00:00+0000', currency: 'USD'},
+    PP9: {date: '2024-01-15T10:00:00+0000', currency: 'EUR'},
+  });
+  const gas = makeAppsScript({
+    properties: {
+      ...PAYPAL_PROPERTIES,
+      currency: 'USD',
+      mode: 'gross',
+      paypal_held_txns: held,
+      paypal_since_previous_startdate: '2024-01-20T00:00:00Z',
+    },
+    routes: [
+      {method: 'get', url: /\/v1\/reporting\/transactions\?.*transaction_id=PP6/,
+        responses: [{body: fixture('paypal/transaction_completed.json')}]},
+      {method: 'get', url: /\/v1\/reporting\/transactions\?/,
+        responses: [{body: {
+          transaction_details: [],
+          account_number: 'ABCD1234',
+          start_date: '2024-01-20T00:00:00+0000',
+          end_date: '2024-01-31T23:59:59+0000',
+          last_refreshed_datetime: '2024-02-01T21:59:59+0000',
+          page: 1,
+          total_pages: 1,
+        }}]},
+      ...paypalRoutes(),
+    ],
+    now: '2024-02-02T00:00:00Z',
+  });
+  const reported = (email) => readOfx(gas, email.attachments[0].getDataAsString())
+    .txns.map((t) => t.id);
+
+  gas.run(`globalThis.__sendEmail = MailApp.sendEmail;
+    MailApp.sendEmail = () => { throw new Error('Service unavailable'); };`);
+
+  assert.throws(() => gas.run(`main_doSinceLast_('PayPal')`),
+    /Service unavailable/);
+  assert.equal(gas.properties.paypal_held_txns, held);
+
+  // Reports that aren't delivered by a schedule don't hold anything back, so
+  // they leave the held transactions alone.
+  gas.run(`MailApp.sendEmail = __sendEmail;`);
+  gas.run(`main_doReport_('PayPal', '2024-01-20T00:00:00Z', '2024-02-01T00:00:00Z')`);
+  assert.deepEqual(reported(gas.emails[0]), []);
+  assert.equal(gas.properties.paypal_held_txns, held);
+
+  // The completed transaction is on the statement when it's sent again, then
+  // forgotten. The one in another currency is left for its own statement.
+  gas.run(`main_doSinceLast_('PayPal')`);
+  assert.deepEqual(reported(gas.emails[1]), ['PP6-T0006']);
+  assert.deepEqual(JSON.parse(gas.properties.paypal_held_txns), {
+    PP9: {date: '2024-01-15T10:00:00+0000', currency: 'EUR'},
+  });
+  const journal = JSON.parse(gas.properties.paypal_run_journal);
+  assert.equal(journal[0].status, 'delivered');
+});
+
+
+test('main_doReport_ reports pending PayPal transactions right away', () => {
+  const gas = makeAppsScript({
+    properties: {...PAYPAL_PROPERTIES, currency: 'USD', mode: 'gross'},
+    routes: [
+      {method: 'get', url: /\/v1\/reporting\/transactions\?/,
+        responses: [{body: fixture('paypal/transactions_status.json')}]},
+      ...paypalRoutes(),
+    ],
+    now: '2024-01-21T00:00:00Z',
+  });
+
+  gas.run(`main_doReport_('PayPal', '2024-01-01T00:00:00-05:00', '2024-01-20T00:00:00Z')`);
+
+  // Nothing would remember to report PP6 once it completes, so it's on this
+  // statement, and nothing is held.
+  const ofx = readOfx(gas, gas.emails[0].attachments[0].getDataAsString());
+  assert.deepEqual(ofx.txns.map((t) => t.id), ['PP6-T0006', 'PP8-T1107']);
+  assert.equal(gas.properties.paypal_held_txns, undefined);
+});
+
+
+test('doStripeSinceLast alerts a failing request once a day', () => {
+  const gas = makeAppsScript({
+    properties: {
+      ...STRIPE_PROPERTIES,
+      alert_recipients_list: 'oncall@example.org',
+    },
+    routes: [
+      {method: 'get', url: /\/v1\/balance_transactions\?/,
+        responses: [{code: 500, body: {error: {
+          type: 'api_error',
+          message: 'Something went wrong with key sk_live_abc123 <oops>',
+        }}}]},
+      ...stripeRoutes(),
+    ],
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  assert.throws(() => gas.run('doStripeSinceLast()'), /status code 500/);
+
+  assert.equal(gas.emails.length, 1);
+  const alert = gas.emails[0];
+  assert.equal(alert.to, 'oncall@example.org');
+  assert.equal(alert.subject, '[Google Bot] Statement Manager failed for Stripe');
+  assert.match(alert.htmlBody, /<th>Dates<\/th><td>2024-01-01 00:00:00 EST to 2024-02-02 07:00:00 EST<\/td>/);
+  assert.match(alert.htmlBody, /<th>Currency<\/th><td>USD<\/td>/);
+  assert.match(alert.htmlBody, /<th>URL<\/th><td>https:\/\/api\.stripe\.com\/v1\/balance_transactions\?/);
+  assert.match(alert.htmlBody, /<th>HTTP status<\/th><td>500<\/td>/);
+  assert.match(alert.htmlBody, /with key sk_live_\[REDACTED\] &lt;oops&gt;/);
+  assert.doesNotMatch(alert.htmlBody, /abc123/);
+  assert.match(alert.htmlBody, /Stack trace:/);
+
+  // The same failure on the next trigger isn't alerted again...
+  assert.throws(() => gas.run('doStripeSinceLast()'), /status code 500/);
+  assert.equal(gas.emails.length, 1);
+
+  // ...until a day has passed.
+  gas.run(`Date.now = () => ${Date.parse('2024-02-03T12:00:00Z')}`);
+  assert.throws(() => gas.run('doStripeSinceLast()'), /status code 500/);
+  assert.equal(gas.emails.length, 2);
+});
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Web app.
+ */
+
+// Submits the web app's report form with the given fields.
+function submitForm(gas, params) {
+  gas.run('globalThis').__params = params;
+  return gas.run(`doPost({parameter: __params})`);
+}
+
+const WEBAPP_FORM = {
+  source: 'Stripe',
+  start: '2024-01-01',
+  end: '2024-01-31',
+  currency: 'USD',
+  mode: 'net',
+  format: 'ofx',
+};
+
+
+test('web app previews a statement without emailing it', () => {
+  const gas = makeAppsScript({
+    properties: STRIPE_PROPERTIES,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  const page = submitForm(gas, {...WEBAPP_FORM, action: 'preview'});
+
+  const html = page.getContent();
+  assert.match(html, /<th>Start<\/th><td>2024-01-01 00:00:00 EST<\/td>/);
+  assert.match(html, /<th>Balance \(USD\)<\/th><td>\$125\.50<\/td>/);
+  assert.match(html, /<th>Transactions \(USD\)<\/th><td>3<\/td>/);
+  assert.match(html, /<input type="date" name="start" required\s+value="2024-01-01">/);
+
+  assert.equal(gas.emails.length, 0);
+  assert.equal(gas.properties.stripe_since_previous_startdate, undefined);
+});
+
+
+test('web app downloads a statement and emails one on request', () => {
+  const gas = makeAppsScript({
+    properties: STRIPE_PROPERTIES,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  const file = submitForm(gas, {...WEBAPP_FORM, action: 'download'});
+  assert.equal(file.fileName, 'Stripe_USD_20240131_190000.ofx');
+  assert.equal(readOfx(gas, file.getContent()).txns.length, 3);
+
+  const page = submitForm(gas, {...WEBAPP_FORM, action: 'email'});
+  assert.match(page.getContent(), /Sent the Stripe statement/);
+  assert.equal(gas.emails.length, 1);
+  assert.equal(gas.properties.stripe_since_previous_startdate, undefined);
+});
+
+
+test('web app form defaults to the selected profile\'s settings', () => {
+  const gas = makeAppsScript({
+    properties: {
+      ...STRIPE_PROPERTIES,
+      mode: 'gross',
+      profiles: 'Acme',
+      'acme.mode': 'itemized',
+      'acme.formats': 'qbo, csv',
+    },
+    now: '2024-02-02T12:00:00Z',
+  });
+  const form = (params) => {
+    gas.run('globalThis').__params = params;
+    return gas.run(`doGet({parameter: __params})`).getContent();
+  };
+
+  let html = form({});
+  assert.match(html, /<option value="PayPal" selected>/);
+  assert.match(html, /<option value="gross" selected>/);
+  assert.match(html, /<option value="ofx" selected>/);
+
+  html = form({source: 'acme Stripe'});
+  assert.match(html, /<option value="acme Stripe" selected>/);
+  assert.match(html, /<option value="itemized" selected>/);
+  assert.match(html, /<option value="qbo" selected>/);
+});
+
+
+test('web app reports bad input and turns away unknown users', () => {
+  const gas = makeAppsScript({
+    properties: STRIPE_PROPERTIES,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  const page = submitForm(gas,
+    {...WEBAPP_FORM, end: '2023-12-31', action: 'preview'});
+  assert.match(page.getContent(),
+    /class="error">Error: The start date must not be later than the end date/);
+
+  const stranger = makeAppsScript({
+    properties: STRIPE_PROPERTIES,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+    user: 'stranger@example.com',
+  });
+  const denied = submitForm(stranger, {...WEBAPP_FORM, action: 'email'});
+  assert.match(denied.getContent(), /You don't have access to this page/);
+  assert.equal(stranger.emails.length, 0);
+  assert.equal(stranger.requests.length, 0);
+});
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Backfill.
+ */
+
+test('doBackfill sends one statement per calendar month', () => {
+  const gas = makeAppsScript({
+    properties: STRIPE_PROPERTIES,
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+
+  gas.run(`doBackfill('Stripe', '2023-11-15T00:00:00-05:00')`);
+
+  // Months are split in the script's timezone, and the backfill stops at the
+  // end of the data that Stripe has published.
+  assert.deepEqual(gas.emails.map((e) => e.subject), [
+    '[Google Bot] Stripe statement since 2023-11-15 00:00:00 EST',
+    '[Google Bot] Stripe statement since 2023-12-01 00:00:00 EST',
+    '[Google Bot] Stripe statement since 2024-01-01 00:00:00 EST',
+  ]);
+  assert.equal(gas.properties.backfill_state, undefined);
+  assert.equal(gas.properties.stripe_since_previous_startdate, undefined);
+  assert.equal(gas.triggers.length, 0);
+});
+
+
+test('doBackfill stops before the time limit and resumes from a trigger', () => {
+  // Every Stripe statement takes 3 minutes.
+  let gas;
+  const routes = stripeRoutes();
+  const slow = routes.find((r) => r.url.test('/v1/balance_transactions?'));
+  const pages = slow.responses;
+  delete slow.responses;
+  slow.respond = () => {
+    gas.run('Date.now = ((now) => () => now)(Date.now() + 3 * 60 * 1000)');
+    return pages[0];
+  };
+
+  gas = makeAppsScript({
+    properties: STRIPE_PROPERTIES,
+    routes: routes,
+    now: '2023-12-31T12:00:00Z',
+  });
+  gas.run(`doBackfill('Stripe', '2023-09-01T00:00:00-04:00',
+    '2023-12-01T00:00:00-05:00')`);
+
+  // Two months fit before the time limit.
+  assert.equal(gas.emails.length, 2);
+  const state = JSON.parse(gas.properties.backfill_state);
+  assert.equal(state.nextDate, Date.parse('2023-11-01T00:00:00-04:00'));
+  assert.equal(gas.triggers.length, 1);
+  assert.equal(gas.triggers[0].handler, 'continueBackfill');
+  assert.equal(gas.triggers[0].after, 60 * 1000);
+
+  // Only one backfill at a time.
+  assert.throws(() => gas.run(`doBackfill('Stripe', '2023-01-01')`),
+    /A Stripe backfill is already in progress/);
+
+  gas.run('continueBackfill()');
+
+  assert.equal(gas.emails.length, 3);
+  assert.match(gas.emails[2].subject, /since 2023-11-01 00:00:00 EDT/);
+  assert.equal(gas.properties.backfill_state, undefined);
+  assert.equal(gas.triggers.length, 0);
+});
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Trigger schedule.
+ */
+
+test('installSchedule replaces report triggers with ones from the schedule', () => {
+  const gas = makeAppsScript({
+    properties: {
+      ...STRIPE_PROPERTIES,
+      schedule: 'stripe: weekly Monday 07:00, all: daily 06:30',
+    },
+    routes: stripeRoutes(),
+    now: '2024-02-02T12:00:00Z',
+  });
+  // Set up by hand before the schedule existed.
+  gas.run(`ScriptApp.newTrigger('doStripeSinceLast').timeBased().everyDays(1)
+    .create()`);
+  gas.run(`ScriptApp.newTrigger('continueBackfill').timeBased().after(60000)
+    .create()`);
+
+  gas.run('installSchedule()');
+  gas.run('installSchedule()'); // installing again replaces, doesn't add
+
+  const strip = (t) => {
+    const {getUniqueId, getHandlerFunction, ...settings} = t;
+    return settings;
+  };
+  assert.deepEqual(gas.triggers.map(strip), [
+    {handler: 'continueBackfill', timeBased: true, after: 60000},
+    {handler: 'doScheduledReport', timeBased: true, onWeekDay: 'MONDAY',
+      atHour: 7, nearMinute: 0, inTimezone: 'America/New_York'},
+    {handler: 'doScheduledReport', timeBased: true, everyDays: 1,
+      atHour: 6, nearMinute: 30, inTimezone: 'America/New_York'},
+  ]);
+
+  const shown = JSON.parse(gas.run('JSON.stringify(showSchedule())'));
+  assert.deepEqual(shown.map((t) => [t.source, t.schedule]),
+    [['stripe', 'weekly Monday 07:00'], ['all', 'daily 06:30']]);
+
+  // Each trigger runs the report for its own entry.
+  gas.run(`doScheduledReport({triggerUid: '${shown[0].id}'})`);
+  assert.equal(gas.emails.length, 1);
+  assert.match(gas.emails[0].subject, /Stripe statement/);
+
+  gas.run('uninstallSchedule()');
+  assert.deepEqual(gas.triggers.map((t) => t.handler), ['continueBackfill']);
+  assert.equal(gas.properties.schedule_triggers, undefined);
+});
+
+
+test('installSchedule leaves the triggers alone if the schedule has a typo', () => {
+  const gas = makeAppsScript({
+    properties: {
+      ...STRIPE_PROPERTIES,
+      schedule: 'stripe: daily 06:00',
+    },
+  });
+  gas.run('installSchedule()');
+
+  gas.properties.schedule = 'stripe: daily 06:00, paypal: weekly Funday 07:00';
+  assert.throws(() => gas.run('installSchedule()'),
+    /Can't read schedule 'weekly Funday 07:00'/);
+  gas.properties.schedule = 'venmo: daily 06:00';
+  assert.throws(() => gas.run('installSchedule()'), /Unknown source 'venmo'/);
+
+  assert.equal(gas.triggers.length, 1);
+  assert.equal(gas.triggers[0].everyDays, 1);
+
+  // Apps Script refuses to make the second trigger.
+  gas.properties.schedule = 'stripe: weekly Monday 07:00, paypal: daily 06:00';
+  gas.run(`const newTrigger = ScriptApp.newTrigger;
+    let made = 0;
+    ScriptApp.newTrigger = (handler) => {
+      if (++made > 1) {
+        throw new Error('This script has too many triggers.');
+      }
+      return newTrigger(handler);
+    };`);
+  assert.throws(() => gas.run('installSchedule()'), /too many triggers/);
+
+  assert.equal(gas.triggers.length, 1);
+  assert.equal(gas.triggers[0].everyDays, 1);
+  assert.deepEqual(
+    JSON.parse(gas.run('JSON.stringify(showSchedule())')).map((t) => t.schedule),
+    ['daily 06:00']
+  );
+});
@@ -0,0 +1,387 @@
+/* webapp.js
+ *
+ * Web app for making a statement on demand, for any source and date range.
+ * The user picks a source, a date range, a currency and a mode, and can then:
+ *
+ *   preview: show the balance and number of transactions for the statement
+ *   download: download the statement file in the browser
+ *   email: send the statement to the usual recipients, via the same path as
+ *          the scheduled reports
+ *
+ * None of these touch the start date that the scheduled "since last" reports
+ * pick up from, so they can be used at any time.
+ *
+ * To use it, deploy the script as a web app (Deploy > New deployment > Web
+ * app). The web app runs as the user who deployed it, so it has access to the
+ * same credentials as the scheduled reports. Only the users listed in the
+ * following script property may use it:
+ *   webapp_allowed_users
+ */
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Constants and internal state.
+ */
+
+// Comma-separated list of the email addresses of the users allowed to use
+// the web app.
+// (OPTIONAL - defaults to only the user who deployed the web app)
+const WEBAPP_USERS_KEY = 'webapp_allowed_users';
+
+const WEBAPP_ACTIONS = ['preview', 'download', 'email'];
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Entry points.
+ */
+
+/* doGet(e)
+ *
+ * Shows the report form. Form fields can be filled in ahead of time with
+ * query parameters of the same name, ex: ?source=Stripe&start=2024-03-01
+ */
+function doGet(e) {
+  if (!webapp_isAllowed_()) {
+    return webapp_makeDeniedPage_();
+  }
+  return webapp_makePage_(webapp_makeForm_(e.parameter), '');
+}
+
+
+/* doPost(e)
+ *
+ * Handles a submitted report form. The 'action' field says what to do with
+ * the statement: 'preview', 'download' or 'email'.
+ */
+function doPost(e) {
+  if (!webapp_isAllowed_()) {
+    return webapp_makeDeniedPage_();
+  }
+
+  const params = e.parameter;
+  let result;
+  try {
+    const request = webapp_parseRequest_(params);
+    switch(request.action) {
+      case 'preview':
+        result = webapp_preview_(request);
+        break;
+      case 'download': {
+        // A file download replaces the whole page, there's nothing else to
+        // show.
+        const file = webapp_download_(request);
+        if (file) {
+          return file;
+        }
+        result = webapp_makeNoDataMessage_(request.source);
+        break;
+      }
+      case 'email':
+        result = webapp_email_(request);
+        break;
+    }
+  } catch(err) {
+    console.error(err);
+    result = `<p class="error">Error: ${main_escapeHtml_(err.message)}`;
+  }
+
+  return webapp_makePage_(webapp_makeForm_(params), result);
+}
+
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+ * Helper functions.
+ */
+
+// Returns true if the user visiting the web app is allowed to use it.
+//
+// Note that Apps Script only reveals the visitor's email address if they're
+// in the same Google Workspace domain as the user who deployed the web app,
+// or are that user. Everyone else is turned away.
+function webapp_isAllowed_() {
+  const ps = PropertiesService.getScriptProperties();
+
+  const email = Session.getActiveUser().getEmail().toLowerCase();
+  if (!email) {
+    return false;
+  }
+
+  let allowed = main_parseList_(ps.getProperty(WEBAPP_USERS_KEY) ?? '');
+  if (allowed.length == 0) {
+    allowed = [Session.getEffectiveUser().getEmail()];
+  }
+  return allowed.some((a) => a.toLowerCase() == email);
+}
+
+
+// Checks the submitted form fields and converts them into: {
+//   action: 'preview', 'download' or 'email'
+//   source: source to report on (see sources.js)
+//   startDate: start of the first day in the range (inclusive)
+//   endDate: start of the day after the last day in the range (exclusive)
+//   options: {currencies, mode} to pass to main_makeReports_()
+//   format: file format to download
+// }
+function webapp_parseRequest_(params) {
+  const tz = Session.getScriptTimeZone();
+
+  if (!WEBAPP_ACTIONS.includes(params.action)) {
+    throw new Error(`Unknown action '${params.action}'.`);
+  }
+
+  const source = source_get_(params.source ?? '');
+
+  const startDate = webapp_parseDate_(params.start, tz, 'start date');
+  const endDate = webapp_parseDate_(params.end, tz, 'end date', 1);
+  if (startDate >= endDate) {
+    throw new Error('The start date must not be later than the end date.');
+  }
+  if (startDate > Date.now()) {
+    throw new Error('The start date must not be in the future.');
+  }
+
+  const currencies = main_parseList_(params.currency ?? '');
+  for (const currency of currencies) {
+    if (!/^[A-Za-z]{3}$/.test(currency)) {
+      throw new Error(`'${currency}' is not a three letter currency code.`);
+    }
+  }
+
+  const mode = params.mode || null;
+  if (mode && !['net', 'gross', 'itemized'].includes(mode)) {
+    throw new Error(`Unknown mode '${mode}'.`);
+  }
+
+  const format = (params.format || 'ofx').toLowerCase();
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    throw new Error(`Unsupported file format '${format}'.`);
+  }
+
+  return {
+    action: params.action,
+    source: source,
+    startDate: startDate,
+    endDate: Math.min(endDate, Date.now()),
+    options: {
+      currencies: currencies.length > 0 ? currencies : null,
+      mode: mode,
+    },
+    format: format,
+  };
+}
+
+
+// Converts a yyyy-MM-dd date from the form into a timestamp at the start of
+// that day in the script's timezone, optionally moved forward some days.
+function webapp_parseDate_(str, tz, field, addDays=0) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str ?? '');
+  if (!match) {
+    throw new Error(`Please enter a ${field} like 2024-03-31.`);
+  }
+
+  // Do the day arithmetic in UTC, so that DST changes in the script's
+  // timezone can't move the result to the wrong day.
+  const day = new Date(Date.UTC(
+    parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]) + addDays
+  ));
+  return Utilities.parseDate(
+    day.toISOString().slice(0, 10), tz, 'yyyy-MM-dd'
+  ).getTime();
+}
+
+
+function webapp_preview_(request) {
+  const tz = Session.getScriptTimeZone();
+
+  const out = main_makeReports_(
+    request.source, request.startDate, request.endDate, request.options
+  );
+  if (!out) {
+    return webapp_makeNoDataMessage_(request.source);
+  }
+
+  const locale = Session.getActiveUserLocale() || 'en-US';
+
+  let rows = '';
+  for (const res of out.reports) {
+    const money = new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: res.currency
+    });
+    rows += `
+  <tr><th>Balance (${res.currency})</th><td>${money.format(res.balance)}</td></tr>
+  <tr><th>Transactions (${res.currency})</th><td>${res.numTxns}</td></tr>`;
+  }
+
+  return `
+<table>
+  <tr><th>Source</th><td>${request.source.name}</td></tr>
+  <tr><th>Start</th><td>${main_prettyDate_(out.startDate, tz)}</td></tr>
+  <tr><th>End</th><td>${main_prettyDate_(out.endDate, tz)}</td></tr>${rows}
+</table>
+
+<p>The data used to produce this preview was current as of
+${main_prettyDate_(out.reportDate, tz)}.
+`;
+}
+
+
+// Returns the statement as a file download, or null if no data is available
+// for the requested dates.
+function webapp_download_(request) {
+  const tz = Session.getScriptTimeZone();
+
+  const {fileOptions} = main_getFileSettings_(request.source);
+
+  const out = main_makeReports_(
+    request.source, request.startDate, request.endDate, request.options
+  );
+  if (!out) {
+    return null;
+  }
+  if (out.reports.length != 1) {
+    throw new Error('Only one statement can be downloaded at a time, please '
+      + 'pick a single currency.');
+  }
+
+  const res = out.reports[0];
+  const fileDate = Utilities.formatDate(
+    new Date(out.reportDate), tz, 'yyyyMMdd_HHmmss'
+  );
+  const blob = main_makeAttachment_(
+    request.format, res, `${request.source.name}_${res.currency}_${fileDate}`,
+    fileOptions
+  );
+
+  return ContentService.createTextOutput(blob.getDataAsString())
+    .setMimeType(request.format == 'csv'
+      ? ContentService.MimeType.CSV
+      : ContentService.MimeType.TEXT)
+    .downloadAsFile(blob.getName());
+}
+
+
+function webapp_email_(request) {
+  const tz = Session.getScriptTimeZone();
+
+  const out = main_doReport_(
+    request.source.name, request.startDate, request.endDate, request.options
+  );
+  if (!out) {
+    return webapp_makeNoDataMessage_(request.source);
+  }
+
+  return `
+<p>Sent the ${request.source.name} statement from
+${main_prettyDate_(out.startDate, tz)} to ${main_prettyDate_(out.endDate, tz)}
+(${out.reports.map((r) => r.currency).join(', ')}).
+`;
+}
+
+
+function webapp_makeNoDataMessage_(source) {
+  return `
+<p>No data is available for that date range yet. ${source.name} may take up
+to ${source.dataDelay_ms / (60 * 60 * 1000)} hour(s) to publish data.
+`;
+}
+
+
+// Returns the report form's HTML, with its fields filled in from 'params'.
+// Fields that aren't filled in default to the settings that the scheduled
+// reports for the selected source use.
+function webapp_makeForm_(params) {
+  const tz = Session.getScriptTimeZone();
+
+  const sources = source_getAll_();
+  const source = sources.find((s) => s.name === params.source) ?? sources[0];
+
+  const today = Utilities.formatDate(new Date(Date.now()), tz, 'yyyy-MM-dd');
+  const mode = params.mode
+    || profile_getSetting(MODE_KEY, source?.profile)
+    || 'net';
+  const format = params.format
+    || main_parseList_(profile_getSetting(FORMATS_KEY, source?.profile) ?? '')[0]
+    || 'ofx';
+
+  const options = (values, selected) => values.map((v) =>
+    `<option value="${main_escapeHtml_(v)}"${v == selected ? ' selected' : ''}>`
+    + `${main_escapeHtml_(v)}</option>`
+  ).join('');
+
+  return `
+<form method="post" action="${ScriptApp.getService().getUrl()}" target="_top">
+<table>
+  <tr><th>Source</th><td><select name="source">${
+    options(sources.map((s) => s.name), source?.name)
+  }</select></td></tr>
+  <tr><th>Start</th><td><input type="date" name="start" required
+    value="${main_escapeHtml_(params.start ?? '')}"></td></tr>
+  <tr><th>End</th><td><input type="date" name="end" required
+    value="${main_escapeHtml_(params.end ?? today)}"></td></tr>
+  <tr><th>Currency</th><td><input type="text" name="currency"
+    placeholder="all" value="${main_escapeHtml_(params.currency ?? '')}"></td></tr>
+  <tr><th>Mode</th><td><select name="mode">${
+    options(['net', 'gross', 'itemized'], mode)
+  }</select></td></tr>
+  <tr><th>Format</th><td><select name="format">${
+    options(SUPPORTED_FORMATS, format)
+  }</select></td></tr>
+</table>
+<button type="submit" name="action" value="preview">Preview</button>
+<button type="submit" name="action" value="download">Download</button>
+<button type="submit" name="action" value="email">Email</button>
+</form>
+`;
+}
+
+
+// Wraps the given form and result HTML in the web app's page layout.
+function webapp_makePage_(form, result) {
+  const colors = {primary: '#3C4043', secondary: '#DADCE0'};
+  return HtmlService.createHtmlOutput(`
+<style>
+  body {
+    font-family: sans-serif;
+  }
+  table {
+    border: solid 12px ${colors.primary};
+    border-collapse: collapse;
+    margin-top: 25px;
+    margin-bottom: 25px;
+  }
+  tr {
+    border-bottom: 1px solid ${colors.secondary};
+  }
+  th {
+    text-align: right;
+    padding-left: 10px;
+    padding-right: 20px;
+  }
+  th, td {
+    padding-top: 5px;
+    padding-bottom: 5px;
+  }
+  td {
+    padding-right: 10px;
+  }
+  .error {
+    color: #C5221F;
+  }
+</style>
+<h2 style="color:${colors.primary}">Statement Manager</h2>
+${form}
+${result}
+`).setTitle('Statement Manager');
+}
+
+
+function webapp_makeDeniedPage_() {
+  return HtmlService.createHtmlOutput(`
+<h2>Statement Manager</h2>
+<p>You don't have access to this page. Ask the owner of the script to add your
+email address to the script property ${WEBAPP_USERS_KEY}.
+`).setTitle('Statement Manager');
+}